@@ -0,0 +1,3167 @@
+
+/*!
+ * explorer.js — headless PDF document model behind the explorer page
+ * Load after fflate, security.js, signatures.js and filters.js; it exposes PDFExplorer on
+ * window (or globalThis). In Node, require() it: it loads its sibling
+ * modules and fflate itself, and never touches `document`.
+ *
+ * Usage:
+ *    const doc = await PDFExplorer.open(bytes, {
+ *      password: 'secret',                 // optional, tried after the empty one
+ *      requestPassword: q => prompt(q),    // optional, may return a Promise
+ *      onProgress: e => console.log(e.message),
+ *      onError: e => console.warn(e.message)
+ *    });
+ *    doc.numPages; doc.pages; doc.root; doc.trailer;
+ *    const content = await doc.getPageContent(1);   // 1-based page number
+ *    const geometry = await doc.getPageGeometry(doc.pages[0]); // boxes, /Rotate, matrix
+ *    const labels = await doc.getPageLabels();      // ['i', 'ii', '1', ...] or null
+ *    const outline = await doc.getOutline();        // bookmark tree or null
+ *    const dest = await doc.resolveDestination(outline[0].target.dest); // { pageIndex, type, args }
+ *    const links = await doc.getPageLinks(doc.pages[0]); // [{ rect, target }]
+ *    const annots = await doc.getPageAnnotations(doc.pages[0]); // flags, /AP /N stream and its transform
+ *    const threads = await doc.getComments();       // all pages' annotations with their replies
+ *    const layers = await doc.getOptionalContent(); // optional content groups, /Order, defaults
+ *    const meta = await doc.getMetadata();          // /Info, XMP, version, ...
+ *    const files = await doc.getAttachments();      // embedded files; bytes via decodeStream(streamKey)
+ *    const sigs = await doc.getSignatures();        // signature fields, certificates, digest check
+ *    const fields = await doc.getFormFields();      // AcroForm fields, values and widgets
+ *    const fdf = PDFExplorer.formToFdf(fields);     // FDF text of { name, type, value } list
+ *    const obj = await doc.getObject('12 0');       // stream decoded if any
+ *
+ * options.signal (an AbortSignal) cancels a parse in progress.
+ * PDFExplorer.openInWorker(bytes, options) does the same in worker.js.
+ *
+ * PDFExplorer.openUrl(url, options) reads a file over HTTP with Range
+ * requests. For a linearized file it resolves once page 1 is loaded:
+ *    doc.numPages;                          // from the linearization dict
+ *    const page = await doc.getPage(3);     // via the page offset hints
+ *    await doc.loadAllPages();              // walk the page tree
+ *    await doc.loadPageObjects(page);       // what a renderer looks up
+ *
+ * Events (doc.on / doc.off, or the on* options):
+ *    progress  { stage, message }
+ *    error     { message, fatal, key }   fatal errors also reject open()
+ *
+ * Objects are parsed on demand from their xref offsets in the file bytes;
+ * doc.objects only holds what has been loaded so far. The whole file is
+ * scanned only when the xref is missing or broken.
+ *
+ * A document also satisfies the ctx contract of font.js (objects,
+ * xrefEntries, fileBytes, processObjStmIfNeeded, extractAndDecodeStream,
+ * debugInfo). doc.fileText still exists but is built on first access.
+ */
+(function (global) {
+  const PDFExplorer = {};
+
+  // In Node the sibling modules register themselves on globalThis.
+  if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+    if (!global.fflate) global.fflate = require('fflate');
+    if (!global.PDFFilters) require('./filters.js');
+    if (!global.PDFSecurity) require('./security.js');
+    if (!global.PDFSignatures) require('./signatures.js');
+  }
+
+  // Where explorer.js was loaded from, so worker.js is found next to it.
+  const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+  function abortError() {
+    return new DOMException('PDF parse aborted', 'AbortError');
+  }
+
+  function extractTopLevelDict(bodyStr) {
+    // 1) Trim early; it helps later heuristics.
+    let s = (bodyStr || '').trim();
+
+    // 2) Remove stray angle brackets wrapping refs/arrays like "<3 0 R", "<[2 0 R]>"
+    // s = s
+    //   .replace(/<\s*(\d+\s+\d+\s+R)\s*>+/g, '$1')         // < 3 0 R >  -> 3 0 R
+    //   .replace(/<\s*(\[[^\]]*?\])\s*>+/g, '$1');          // < [ ... ] > -> [ ... ]
+
+    // 3) If a ref is immediately followed by a name, add a space: "R/Font" -> "R /Font"
+    // s = s.replace(/(\d+\s+\d+\s+R)(?=\/)/g, '$1 ');
+
+    // 4) If a name is immediately followed by a ref, add a space: "/Contents5 0 R" -> "/Contents 5 0 R"
+    // s = s.replace(/\/([A-Za-z0-9\-\+]+)(?=\s*\d+\s+\d+\s+R)/g, '/$1 ');
+
+    // 5) Ensure a space before each new name if it’s jammed into prior token: "...R/Parent" -> "...R /Parent"
+    // s = s.replace(/([^<>\s])\/([A-Za-z])/g, '$1 /$2');
+
+    // 6) Collapse silly ">>>>" runs that sometimes appear after cleanup
+    // s = s.replace(/>>{3,}/g, '>>');
+
+    // 7) If someone wrote "/Font < 4 0 R >>>>", normalize that too
+    // s = s.replace(/\/(\w+)\s*<\s*(\d+\s+\d+\s+R)\s*>+/g, '/$1 $2');
+
+    // 8) If there are accidental extra angle brackets still hugging refs, remove them
+    // s = s.replace(/[<>]+(\d+\s+\d+\s+R)[<>]*/g, '$1');
+
+    // 9) Guarantee we have a dictionary wrapper. If one already exists, find balanced "<<" ... ">>".
+    //    Otherwise, wrap the whole normalized string in "<< >>".
+    let start = s.indexOf('<<');
+    if (start === -1) {
+      // No obvious dict delimiters; wrap the normalized content.
+      s = `<< ${s.trim()} >>`;
+      start = 0;
+    }
+
+    // Walk to find the matching ">>" while respecting strings/hex strings.
+    let nest = 0;
+    let inLiteral = false, inHex = false, paren = 0, escaped = false;
+    for (let i = start; i < s.length; i++) {
+      const ch = s[i], nx = i + 1 < s.length ? s[i + 1] : '';
+
+      if (escaped) { escaped = false; continue; }
+
+      if (inLiteral) {
+        if (ch === '\\') { escaped = true; continue; }
+        if (ch === '(') paren++;
+        else if (ch === ')') { if (paren > 0) paren--; else inLiteral = false; }
+        continue;
+      }
+
+      if (inHex) { if (ch === '>') inHex = false; continue; }
+
+      if (ch === '<') {
+        if (nx === '<') { nest++; i++; } // Increment nest for '<<'
+        else { inHex = true; }
+      } else if (ch === '>') {
+        if (nx === '>') {
+          if (nest > 0) { // Only decrement if we're in a nested dict
+            nest--; i++;
+          }
+          if (nest === 0) {
+            // Return the balanced dictionary slice.
+            return s.substring(start, i + 1);
+          }
+        }
+      } else if (ch === '(') {
+        inLiteral = true; paren = 0;
+      }
+    }
+
+    // If we arrive here, the dict wasn’t closed properly. Close it.
+    return s.substring(start) + ' >>';
+  }
+
+  function normalizeMalformedDict(bodyStr) {
+    let s = (bodyStr || '').trim();
+
+    // Remove stray angle brackets around refs/arrays
+    // s = s
+    //   .replace(/<\s*(\d+\s+\d+\s+R)\s*>+/g, '$1')
+    //   .replace(/<\s*(\[[^\]]*?\])\s*>+/g, '$1');
+
+    // Space between "R" and next name: "5 0 R/Font" -> "5 0 R /Font"
+    // s = s.replace(/(\d+\s+\d+\s+R)(?=\/)/g, '$1 ');
+
+    // Space between name and ref: "/Contents5 0 R" -> "/Contents 5 0 R"
+    // s = s.replace(/\/([A-Za-z0-9\-\+]+)(?=\s*\d+\s+\d+\s+R)/g, '/$1 ');
+
+    // Add a space when a name is jammed onto prior token: "...R/Parent" -> "...R /Parent"
+    // s = s.replace(/([^<>\s])\/([A-Za-z])/g, '$1 /$2');
+
+    // Cases like "/Font <4 0 R>>>>" -> "/Font 4 0 R"
+    // s = s.replace(/\/(\w+)\s*<\s*(\d+\s+\d+\s+R)\s*>+/g, '/$1 $2');
+
+    // Collapse overlong closers
+    // s = s.replace(/>>{3,}/g, '>>');
+
+    // Ensure it's wrapped as a dictionary
+    // if (!/<<[\s\S]*>>/.test(s)) s = `<< ${s.trim()} >>`;
+    return s;
+  }
+
+  function cssEscape(a){return a.replace(/(['"\\])/g,'\\$1');}
+  function base64FromLatin1(s){ return btoa(s); }
+
+  function parseToUnicodeCMap(cmapText){
+    // Determine bytes-per-char from codespace ranges (default 1)
+    let bytesPerChar = 1;
+    const csr = /begincodespacerange([\s\S]*?)endcodespacerange/gm;
+    let m;
+    while ((m = csr.exec(cmapText))) {
+      const body = m[1];
+      const lines = body.match(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/g) || [];
+      for (const ln of lines) {
+        const mm = ln.match(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/);
+        if (!mm) continue;
+        bytesPerChar = Math.max(bytesPerChar, Math.ceil(mm[1].length / 2));
+      }
+    }
+    const map = Object.create(null);
+
+    function hexToCode(hex){ return parseInt(hex,16); }
+    function hexToUnicodeString(hex){
+      // interpret as big-endian UTF-16 code units
+      const bytes = hex.match(/../g)?.map(h=>parseInt(h,16)) || [];
+      let s = '';
+      for (let i=0;i<bytes.length;i+=2){
+        const u = ((bytes[i]<<8) | (bytes[i+1]||0)) >>> 0;
+        if (u) s += String.fromCharCode(u);
+      }
+      return s;
+    }
+
+    // bfchar: explicit mappings. Entries are matched across the whole
+    // section, as producers put several on a line or split them.
+    const bfchar = /beginbfchar([\s\S]*?)endbfchar/gm;
+    while ((m = bfchar.exec(cmapText))) {
+      const entry = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g;
+      let mm;
+      while ((mm = entry.exec(m[1]))) map[hexToCode(mm[1])] = hexToUnicodeString(mm[2]);
+    }
+
+    // bfrange: <start> <end> <dstStart>, or <start> <end> [ <d1> <d2> ... ]
+    const bfrange = /beginbfrange([\s\S]*?)endbfrange/gm;
+    while ((m = bfrange.exec(cmapText))) {
+      const entry = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g;
+      let mm;
+      while ((mm = entry.exec(m[1]))) {
+        const s = hexToCode(mm[1]), e = hexToCode(mm[2]);
+        if (e < s || e - s > 0xffff) continue;
+        if (mm[3] !== undefined) {
+          // the last UTF-16 unit of the destination counts up
+          const dst0 = hexToUnicodeString(mm[3]);
+          const head = dst0.slice(0, -1), last = dst0.charCodeAt(dst0.length - 1) || 0;
+          for (let c=s;c<=e;c++) map[c] = head + String.fromCharCode(last + (c - s));
+        } else {
+          const list = mm[4].match(/<([0-9A-Fa-f]*)>/g) || [];
+          for (let i=0;i<list.length && s+i<=e;i++){
+            map[s+i] = hexToUnicodeString(list[i].slice(1,-1));
+          }
+        }
+      }
+    }
+
+    return { map, bytesPerChar };
+  }
+
+  const installedFonts = new Set();
+  function installEmbeddedFontCss(fontFamily, ttfLatin1){
+    if (typeof document === 'undefined') return; // headless: the cache keeps the bytes
+    if (!ttfLatin1 || installedFonts.has(fontFamily)) return;
+    installedFonts.add(fontFamily);
+    const css = `@font-face{
+      font-family:'${cssEscape(fontFamily)}';
+      src:url(data:font/ttf;base64,${base64FromLatin1(ttfLatin1)}) format('truetype');
+      font-weight:normal;font-style:normal;font-display:swap;}`;
+    let el = document.getElementById('pdf-embedded-fonts');
+    if (!el) { el = document.createElement('style'); el.id = 'pdf-embedded-fonts'; document.head.appendChild(el); }
+    el.appendChild(document.createTextNode(css));
+  }
+
+  // The value starting at text[i] (after any whitespace) as source text,
+  // and the index just past it: a reference, a nested dictionary or array,
+  // a string, a name or a single token.
+  function valueAt(text, i) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    const ref = /\d+\s+\d+\s+R\b/y;
+    ref.lastIndex = i;
+    const m = ref.exec(text);
+    if (m) return { value: m[0], end: i + m[0].length };
+    if (text.startsWith('<<', i)) {
+      const dict = extractTopLevelDict(text.slice(i));
+      return { value: dict, end: i + dict.length };
+    }
+    if (text[i] === '(' || text[i] === '<') {
+      const parsed = PDFSecurity.parseStringBytes(text, i);
+      return { value: text.slice(i, parsed.end), end: parsed.end };
+    }
+    if (text[i] === '[') {
+      let depth = 0;
+      for (let j = i; j < text.length; j++) {
+        const ch = text[j];
+        if ((ch === '(' || ch === '<') && !text.startsWith('<<', j)) {
+          j = PDFSecurity.parseStringBytes(text, j).end - 1;
+        } else if (ch === '[') depth++;
+        else if (ch === ']' && --depth === 0) return { value: text.slice(i, j + 1), end: j + 1 };
+      }
+      return { value: text.slice(i), end: text.length };
+    }
+    const token = /\/?[^\s\/\[\]<>()]*/y;
+    token.lastIndex = i;
+    const t = token.exec(text)[0];
+    return { value: t, end: i + t.length };
+  }
+
+  // A dictionary's own entries as [key, value source] pairs (keys without
+  // the slash), or null when the text does not parse as key/value pairs.
+  function dictEntries(dictStr) {
+    const text = dictStr || '';
+    let i = text.indexOf('<<');
+    if (i === -1 || text.slice(0, i).trim()) return null;
+    const entries = [];
+    const name = /\/[^\s\/\[\]<>()]*/y;
+    for (i += 2; ;) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      if (i >= text.length || text.startsWith('>>', i)) return entries;
+      name.lastIndex = i;
+      const m = name.exec(text);
+      if (!m) return null;
+      const entry = valueAt(text, i + m[0].length);
+      if (entry.end <= i + m[0].length) return null;
+      entries.push([m[0].slice(1), entry.value]);
+      i = entry.end;
+    }
+  }
+
+  // Raw value of a key in a dictionary string (see valueAt); '' when the
+  // key is absent. Only the dictionary's own keys count, not those of
+  // nested dictionaries; text that does not parse as key/value pairs is
+  // searched for the first /key instead.
+  function dictValue(dictStr, key) {
+    const entries = dictEntries(dictStr);
+    if (entries) {
+      const entry = entries.find(([k]) => k === key);
+      return entry ? entry[1] : '';
+    }
+    const m = new RegExp(`/${key}(?![A-Za-z0-9])`).exec(dictStr || '');
+    return m ? valueAt(dictStr, m.index + m[0].length).value : '';
+  }
+
+  // Value sources of the items of an array's "[...]" text.
+  function arrayItems(arrayStr) {
+    const items = [];
+    const text = arrayStr || '';
+    for (let i = text.indexOf('[') + 1; i > 0 && i < text.length;) {
+      const entry = valueAt(text, i);
+      if (!entry.value) break;
+      items.push(entry.value);
+      i = entry.end;
+    }
+    return items;
+  }
+
+  /**
+   * Whether content marked with the /OC key shows, given the groups'
+   * states (Map of "num gen" -> on) and the memberships known so far (as
+   * getOptionalContentMembership gives them). Unknown groups show.
+   */
+  function optionalContentVisible(key, memberships, state) {
+    const on = k => state.get(k) !== false;
+    const m = memberships.get(key);
+    if (!m || m.type !== 'OCMD') return on(key);
+    const evaluate = expr => {
+      if (typeof expr === 'string') return on(expr);
+      const [op, ...args] = expr;
+      if (op === 'Not') return !evaluate(args[0]);
+      if (op === 'Or') return args.some(evaluate);
+      return args.every(evaluate);
+    };
+    if (m.ve) return evaluate(m.ve);
+    if (!m.ocgs.length) return true;
+    if (m.policy === 'AllOn') return m.ocgs.every(on);
+    if (m.policy === 'AnyOff') return !m.ocgs.every(on);
+    if (m.policy === 'AllOff') return !m.ocgs.some(on);
+    return m.ocgs.some(on);
+  }
+
+  // The numbers in an array's source, e.g. a /Rect or /QuadPoints.
+  function numberArray(value) {
+    return ((value || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)/g) || []).map(Number);
+  }
+
+  // An annotation colour array (§12.5.2 /C, /IC) as [r, g, b] in 0..1;
+  // null for an empty array, which means transparent.
+  function annotationColor(value) {
+    const n = numberArray(value);
+    if (n.length === 1) return [n[0], n[0], n[0]];
+    if (n.length === 3) return n;
+    if (n.length === 4) return [0, 1, 2].map(i => 1 - Math.min(1, n[i] + n[3]));
+    return null;
+  }
+
+  // PDFDocEncoding where it differs from Latin-1 (PDF 1.7 Annex D.2).
+  const PDF_DOC_ENCODING = {
+    0x18: 0x02D8, 0x19: 0x02C7, 0x1A: 0x02C6, 0x1B: 0x02D9, 0x1C: 0x02DD, 0x1D: 0x02DB, 0x1E: 0x02DA, 0x1F: 0x02DC,
+    0x80: 0x2022, 0x81: 0x2020, 0x82: 0x2021, 0x83: 0x2026, 0x84: 0x2014, 0x85: 0x2013, 0x86: 0x0192, 0x87: 0x2044,
+    0x88: 0x2039, 0x89: 0x203A, 0x8A: 0x2212, 0x8B: 0x2030, 0x8C: 0x201E, 0x8D: 0x201C, 0x8E: 0x201D, 0x8F: 0x2018,
+    0x90: 0x2019, 0x91: 0x201A, 0x92: 0x2122, 0x93: 0xFB01, 0x94: 0xFB02, 0x95: 0x0141, 0x96: 0x0152, 0x97: 0x0160,
+    0x98: 0x0178, 0x99: 0x017D, 0x9A: 0x0131, 0x9B: 0x0142, 0x9C: 0x0153, 0x9D: 0x0161, 0x9E: 0x017E, 0xA0: 0x20AC
+  };
+
+  /**
+   * A text string as JS text: UTF-16BE or UTF-8 after their byte order
+   * marks, PDFDocEncoding otherwise. Takes the string's bytes or its
+   * "(...)" / "<...>" source.
+   */
+  function decodeTextString(value) {
+    let bytes = value;
+    if (typeof value === 'string') {
+      const parsed = PDFSecurity.parseStringBytes(value);
+      bytes = parsed ? parsed.bytes : new Uint8Array(0);
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return new TextDecoder().decode(bytes.subarray(3));
+    let out = '';
+    for (const b of bytes) out += String.fromCharCode(PDF_DOC_ENCODING[b] || b);
+    return out;
+  }
+
+  // Source of the string under /key in a dictionary, for decodeTextString.
+  function stringValue(dictStr, key) {
+    const m = new RegExp(`/${key}\\s*(?=[(<][^<])`).exec(dictStr || '');
+    if (!m) return '';
+    const parsed = PDFSecurity.parseStringBytes(dictStr, m.index + m[0].length);
+    return parsed ? dictStr.slice(m.index + m[0].length, parsed.end) : '';
+  }
+
+  /**
+   * A date string "D:YYYYMMDDHHmmSSOHH'mm'" (§7.9.4) as a Date, or null.
+   * Everything after the year may be left out; without an offset the time
+   * is taken as UTC.
+   */
+  function parsePdfDate(text) {
+    const m = (text || '').trim().match(/^(?:D:)?(\d{4})(\d\d)?(\d\d)?(\d\d)?(\d\d)?(\d\d)?\s*(?:([Zz+-])\s*(\d\d)?'?\s*(\d\d)?'?)?/);
+    if (!m) return null;
+    const [, y, mo = '01', d = '01', h = '00', mi = '00', sec = '00', sign, oh = '00', om = '00'] = m;
+    let t = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    if (sign === '+' || sign === '-') t -= (sign === '+' ? 1 : -1) * (+oh * 60 + +om) * 60000;
+    return isNaN(t) ? null : new Date(t);
+  }
+
+  const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  function xmlText(s) {
+    return s.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+      .replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => e[0] !== '#' ? XML_ENTITIES[e] || m
+        : String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : +e.slice(1)));
+  }
+
+  // An XMP packet as { 'prefix:Name': text }: properties written as
+  // rdf:Description attributes or as its child elements. rdf:Seq and
+  // rdf:Bag items are joined with "; "; an rdf:Alt gives its x-default
+  // entry, other languages as 'prefix:Name[lang]'. Structured values are
+  // flattened to their text.
+  function parseXmp(xml) {
+    const props = {};
+    for (const desc of xml.matchAll(/<rdf:Description\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rdf:Description>)/g)) {
+      for (const a of desc[1].matchAll(/([\w.-]+:[\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        if (!/^(rdf|xmlns|xml):/.test(a[1])) props[a[1]] = xmlText(a[2] ?? a[3]);
+      }
+      if (!desc[2]) continue;
+      for (const el of desc[2].matchAll(/<([\w.-]+:[\w.-]+)\b[^>]*?(?:\/>|>([\s\S]*?)<\/\1\s*>)/g)) {
+        if (el[2] === undefined || el[1].startsWith('rdf:')) continue;
+        const items = [...el[2].matchAll(/<rdf:li\b([^>]*)>([\s\S]*?)<\/rdf:li>/g)];
+        if (/<rdf:Alt\b/.test(el[2]) && items.length) {
+          items.sort((x, y) => /x-default/.test(y[1]) - /x-default/.test(x[1]));
+          props[el[1]] = xmlText(items[0][2]);
+          for (const li of items.slice(1)) {
+            const lang = (li[1].match(/xml:lang\s*=\s*["']([^"']*)/) || [])[1];
+            if (lang) props[`${el[1]}[${lang}]`] = xmlText(li[2]);
+          }
+        } else if (items.length) {
+          props[el[1]] = items.map(li => xmlText(li[2])).join('; ');
+        } else {
+          props[el[1]] = xmlText(el[2]);
+        }
+      }
+    }
+    return props;
+  }
+
+  // /Info keys and the XMP properties that carry the same thing.
+  const INFO_XMP = [['Title', 'dc:title'], ['Author', 'dc:creator'], ['Subject', 'dc:description'],
+    ['Keywords', 'pdf:Keywords'], ['Creator', 'xmp:CreatorTool'], ['Producer', 'pdf:Producer'],
+    ['CreationDate', 'xmp:CreateDate'], ['ModDate', 'xmp:ModifyDate'], ['Trapped', 'pdf:Trapped']];
+
+  // A name without its slash, #xx escapes decoded (§7.3.5).
+  // Bytes that form valid UTF-8 are read as such (the inverse of
+  // encodeName); anything else stays one character per byte.
+  function decodeName(value) {
+    const raw = (value || '').replace(/^\//, '').replace(/#([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    if (!/[\x80-\xff]/.test(raw)) return raw;
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(raw, c => c.charCodeAt(0)));
+    } catch (err) {
+      return raw;
+    }
+  }
+
+  function toRoman(n) {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let out = '';
+    for (const [value, numeral] of numerals) {
+      while (n >= value) { out += numeral; n -= value; }
+    }
+    return out;
+  }
+
+  // Page label of a 0-based page index from the /PageLabels ranges
+  // ({ start, style, prefix, first }, by start): the prefix, then the
+  // number in the range's style counted from /St (§12.4.2). Letters run
+  // A..Z, AA..ZZ, AAA...
+  function formatPageLabel(index, ranges) {
+    let range = null;
+    for (const r of ranges) if (r.start <= index) range = r;
+    if (!range) return String(index + 1);
+    const n = range.first + index - range.start;
+    let number = '';
+    if (range.style === 'D') number = String(n);
+    else if (range.style === 'R') number = toRoman(n).toUpperCase();
+    else if (range.style === 'r') number = toRoman(n);
+    else if (range.style === 'A' || range.style === 'a') {
+      const letter = String.fromCharCode((range.style === 'A' ? 65 : 97) + (n - 1) % 26);
+      number = letter.repeat(Math.floor((n - 1) / 26) + 1);
+    }
+    return range.prefix + number;
+  }
+
+  // A rectangle as [llx, lly, urx, ury] whatever corners the file gave.
+  function parseBox(value) {
+    const n = (value || '').replace(/[\[\]]/g, ' ').trim().split(/\s+/).map(Number);
+    if (n.length !== 4 || n.some(isNaN)) return null;
+    return [Math.min(n[0], n[2]), Math.min(n[1], n[3]), Math.max(n[0], n[2]), Math.max(n[1], n[3])];
+  }
+
+  // User space to display pixels (origin top left, y down): the CropBox
+  // corner moves to the origin, the page turns clockwise by /Rotate and
+  // each unit is /UserUnit pixels.
+  function pageMatrix(cropBox, rotate, userUnit) {
+    const [llx, lly, urx, ury] = cropBox;
+    const m = {
+      0: [1, 0, 0, -1, -llx, ury],
+      90: [0, 1, 1, 0, -lly, -llx],
+      180: [-1, 0, 0, 1, urx, -lly],
+      270: [0, -1, -1, 0, ury, urx]
+    }[rotate];
+    return m.map(v => v * userUnit);
+  }
+
+  // A PDF string literal of text: escaped PDFDocEncoding-safe ASCII, or
+  // UTF-16BE with a byte order mark.
+  function encodeTextString(text) {
+    if (/^[\x20-\x7e\n\r\t]*$/.test(text)) return `(${text.replace(/[\\()]/g, '\\$&').replace(/\r/g, '\\r')})`;
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    return `<${hex}>`;
+  }
+
+  // Names are byte sequences: non-ASCII characters go in as their UTF-8
+  // bytes, each written #xx like the delimiters.
+  function encodeName(name) {
+    let out = '/';
+    for (const b of new TextEncoder().encode(String(name))) {
+      const c = String.fromCharCode(b);
+      out += /[^!-~]|[#()<>\[\]{}\/%]/.test(c) ? '#' + b.toString(16).padStart(2, '0') : c;
+    }
+    return out;
+  }
+
+  /**
+   * FDF text (§12.7.8) for field values given as { name, type, value }
+   * (the shape getFormFields returns). Dotted names become a /Kids
+   * hierarchy; checkbox and radio states are written as names, arrays as
+   * arrays of strings and null values are left out.
+   */
+  function formToFdf(fields) {
+    const tree = new Map();
+    for (const f of fields) {
+      if (f.value == null || !f.name) continue;
+      let level = tree;
+      const parts = f.name.split('.');
+      for (const part of parts.slice(0, -1)) {
+        if (!level.has(part)) level.set(part, { kids: new Map() });
+        level = level.get(part).kids || (level.get(part).kids = new Map());
+      }
+      const node = level.get(parts[parts.length - 1]) || {};
+      const encode = v => f.type === 'checkbox' || f.type === 'radio' ? encodeName(v) : encodeTextString(String(v));
+      node.value = Array.isArray(f.value) ? `[${f.value.map(encode).join(' ')}]` : encode(f.value);
+      level.set(parts[parts.length - 1], node);
+    }
+    const write = level => [...level].map(([name, node]) => {
+      let out = `<< /T ${encodeTextString(name)}`;
+      if (node.value) out += ` /V ${node.value}`;
+      if (node.kids && node.kids.size) out += ` /Kids [\n${write(node.kids)}\n]`;
+      return out + ' >>';
+    }).join('\n');
+    return `%FDF-1.2\n1 0 obj\n<< /FDF << /Fields [\n${write(tree)}\n] >> >>\nendobj\n` +
+      'trailer\n<< /Root 1 0 R >>\n%%EOF\n';
+  }
+
+  const RANGE_CHUNK = 65536;
+
+  /**
+   * A PDF on an HTTP server, read with Range requests in RANGE_CHUNK pieces
+   * as the parser reaches them. `bytes` has the full length from the start;
+   * what has not been fetched yet reads as zeros, so callers ensure() a
+   * range before looking at it. Resolves to plain bytes instead when the
+   * server ignores Range (or hides Content-Range from a cross-origin page).
+   */
+  async function openRangeSource(url, options = {}) {
+    const signal = options.signal;
+    const first = await fetch(url, { headers: { Range: `bytes=0-${RANGE_CHUNK - 1}` }, signal });
+    if (!first.ok) throw new Error(`${url}: HTTP ${first.status}`);
+    const total = first.status === 206 && /\/(\d+)\s*$/.exec(first.headers.get('Content-Range') || '');
+    if (!total) return new Uint8Array(await first.arrayBuffer());
+
+    const length = +total[1];
+    const bytes = new Uint8Array(length);
+    const chunkCount = Math.ceil(length / RANGE_CHUNK);
+    const chunks = new Uint8Array(chunkCount);
+    const inflight = new Map();
+    let loadedChunks = 0;
+    const source = {
+      url, length, bytes, chunkSize: RANGE_CHUNK, requests: 1, bytesFetched: 0,
+      listeners: [], // fn(start, end) after each fetched range is in `bytes`
+      get complete() { return loadedChunks === chunkCount; },
+      has, ensure
+    };
+
+    function fill(start, data) {
+      const end = Math.min(start + data.length, length);
+      bytes.set(data.subarray(0, end - start), start);
+      source.bytesFetched += end - start;
+      // Only whole chunks count as loaded; a short last chunk ends the file.
+      for (let c = Math.ceil(start / RANGE_CHUNK); c < chunkCount && Math.min((c + 1) * RANGE_CHUNK, length) <= end; c++) {
+        if (!chunks[c]) { chunks[c] = 1; loadedChunks++; }
+      }
+      for (const fn of source.listeners) fn(start, end);
+    }
+
+    function has(start, end) {
+      const last = Math.ceil(Math.min(end, length) / RANGE_CHUNK);
+      for (let c = Math.floor(Math.max(0, start) / RANGE_CHUNK); c < last; c++) if (!chunks[c]) return false;
+      return true;
+    }
+
+    function fetchChunks(c0, c1) {
+      const from = c0 * RANGE_CHUNK, to = Math.min(c1 * RANGE_CHUNK, length);
+      const request = (async () => {
+        source.requests++;
+        const res = await fetch(url, { headers: { Range: `bytes=${from}-${to - 1}` }, signal });
+        if (res.status !== 206 && res.status !== 200) throw new Error(`${url}: HTTP ${res.status} for bytes ${from}-${to - 1}`);
+        const data = new Uint8Array(await res.arrayBuffer());
+        const range = /bytes\s+(\d+)-/.exec(res.headers.get('Content-Range') || '');
+        fill(res.status === 200 ? 0 : (range ? +range[1] : from), data);
+      })();
+      const done = () => { for (let c = c0; c < c1; c++) inflight.delete(c); };
+      request.then(done, done);
+      for (let c = c0; c < c1; c++) inflight.set(c, request);
+      return request;
+    }
+
+    // Fetch the missing chunks of [start, end), one request per gap.
+    function ensure(start, end) {
+      const c0 = Math.floor(Math.max(0, start) / RANGE_CHUNK);
+      const c1 = Math.ceil(Math.min(end, length) / RANGE_CHUNK);
+      const waits = new Set();
+      let gap = -1;
+      for (let c = c0; c <= c1; c++) {
+        const missing = c < c1 && !chunks[c] && !inflight.has(c);
+        if (missing && gap === -1) gap = c;
+        if (!missing && gap !== -1) { waits.add(fetchChunks(gap, c)); gap = -1; }
+        if (c < c1 && inflight.has(c)) waits.add(inflight.get(c));
+      }
+      return Promise.all(waits);
+    }
+
+    fill(0, new Uint8Array(await first.arrayBuffer()));
+    return source;
+  }
+
+  function createDocument(data, options = {}) {
+    // === Performance bookkeeping (the page prints a summary from doc.perf) ===
+    const perf = { log: [], spans: new Map(), sections: [] };
+    function mark(label) {
+      perf.log.push({ label, t: performance.now() });
+    }
+    function spanStart(label) {
+      perf.spans.set(label, performance.now());
+    }
+    function spanEnd(label) {
+      const t0 = perf.spans.get(label);
+      if (t0 == null) return 0;
+      const dt = performance.now() - t0;
+      perf.sections.push({ label, ms: dt });
+      perf.spans.delete(label);
+      return dt;
+    }
+
+    const listeners = { progress: [], error: [] };
+    function emit(type, detail) {
+      for (const fn of listeners[type] || []) {
+        try { fn(detail); } catch (err) { console.error(err); }
+      }
+    }
+    function progress(stage, message) {
+      debugInfo.push(`[${stage}] ${message}`);
+      emit('progress', { stage, message });
+    }
+    if (typeof options.onProgress === 'function') listeners.progress.push(options.onProgress);
+    if (typeof options.onError === 'function') listeners.error.push(options.onError);
+
+    // options.signal (an AbortSignal) is checked between parse steps.
+    function throwIfAborted() {
+      if (options.signal && options.signal.aborted) throw abortError();
+    }
+
+    const objects = new Map();
+    const pages = [];
+    const fontCache = new Map();
+    let rootKey = '';
+    const debugInfo = [];
+    const xrefEntries = new Map();
+    const xrefRevisions = []; // oldest first: { revision, offset, kind, trailer, prev, entries }
+    let trailerDict = '';
+    let xrefRepaired = false;
+    let security = null;        // PDFSecurity handler once the file is unlocked
+    let securityChecked = false;
+    let securityLocked = false; // encrypted and no valid password
+    let encryptKey = '';
+    const source = data && typeof data.ensure === 'function' ? data : null; // openRangeSource()
+    const fileBytes = source ? source.bytes : data instanceof Uint8Array ? data : new Uint8Array(data);
+    let fileText = null; // whole-file latin1 text, only for the repair scan
+    let linearization = null;
+    let pagesComplete = true; // false while a remote linearized file only knows page 1
+
+    const LF = 10, CR = 13, SPACE = 32;
+    const ENDOBJ_BYTES = new TextEncoder().encode("endobj");
+    const STREAM_BYTES = new TextEncoder().encode("stream");
+    const ENDSTREAM_BYTES = new TextEncoder().encode("endstream");
+    const TRAILER_BYTES = new TextEncoder().encode("trailer");
+
+    // Latin1 text of a byte range; offsets in it match file offsets.
+    function textAt(start, end) {
+      return PDFFilters.bytesToLatin1(fileBytes.subarray(Math.max(0, start), Math.min(end, fileBytes.length)));
+    }
+
+    async function ensureBytes(start, end) {
+      if (source) await source.ensure(start, end);
+    }
+
+    // Callers that need the whole file (the repair scan) fetch it first.
+    function getFileText() {
+      if (fileText === null) {
+        spanStart('Decode file text');
+        fileText = PDFFilters.bytesToLatin1(fileBytes);
+        spanEnd('Decode file text');
+      }
+      return fileText;
+    }
+
+    function store(num, gen, body, offset = -1, end = -1, streamStart = -1) {
+      const key = `${num} ${gen}`;
+      if (objects.has(key)) return;
+      const dict = extractTopLevelDict(body);
+      objects.set(key, { num, gen, offset, end, streamStart, dict, raw: body, stream: '', decoded: '', streamError: '', streamInfo: '', processed: false });
+      decryptObjectStrings(objects.get(key));
+    }
+
+    // Strings of top-level objects are encrypted with the object's own key.
+    // Objects from an /ObjStm (offset -1) were decrypted with their stream,
+    // and the /Encrypt dictionary and xref streams are never encrypted.
+    function decryptObjectStrings(obj) {
+      if (!security || obj.offset < 0 || obj.stringsDecrypted) return;
+      obj.stringsDecrypted = true;
+      if (`${obj.num} ${obj.gen}` === encryptKey || /\/Type\s*\/XRef\b/.test(obj.dict || '')) return;
+      obj.raw = security.decryptObjectBody(obj.raw, obj.num, obj.gen);
+      obj.dict = extractTopLevelDict(obj.raw);
+    }
+
+    // "N G obj" at (or just after whitespace at) a byte offset that is loaded.
+    function parseObjectHeader(offset) {
+      if (!(offset >= 0 && offset < fileBytes.length)) return null;
+      const m = textAt(offset, offset + 64).match(/^\s*(\d+)\s+(\d+)\s+obj\b/);
+      if (!m) return null;
+      return { num: +m[1], gen: +m[2], offset: offset + (m[0].length - m[0].trimStart().length), bodyStart: offset + m[0].length };
+    }
+
+    async function readObjectHeaderAt(offset) {
+      await ensureBytes(offset, offset + 64);
+      return parseObjectHeader(offset);
+    }
+
+    // Parse the indirect object whose header sits at a known byte offset.
+    // The body stops at "endobj" (`end`), or for a stream object at the
+    // "stream" keyword: its data (from `streamStart`) is read when decoded.
+    async function readObjectAt(offset) {
+      const header = await readObjectHeaderAt(offset);
+      if (!header) return null;
+      const { num, gen, bodyStart } = header;
+      let from = bodyStart;
+      for (;;) {
+        const at = await findKeyword([STREAM_BYTES, ENDOBJ_BYTES], from);
+        if (at === -1) return null;
+        if (fileBytes[at] === ENDOBJ_BYTES[0]) {
+          return { num, gen, body: textAt(bodyStart, at).trim(), offset: header.offset, end: at, streamStart: -1 };
+        }
+        const body = textAt(bodyStart, at).trimEnd();
+        if (!body.endsWith('>>')) { from = at + STREAM_BYTES.length; continue; } // "stream" inside a string
+        await ensureBytes(at, at + 16);
+        let streamStart = at + STREAM_BYTES.length;
+        while (fileBytes[streamStart] === SPACE) streamStart++;
+        if (fileBytes[streamStart] === CR) streamStart++;
+        if (fileBytes[streamStart] === LF) streamStart++;
+        return { num, gen, body: `${body.trim()}\nstream`, offset: header.offset, end: -1, streamStart };
+      }
+    }
+
+    // Load the object at an xref offset, replacing a stale copy of the same
+    // number read from another offset (incremental updates reuse numbers).
+    async function loadObjectAt(offset) {
+      const found = await readObjectAt(offset);
+      if (!found) return null;
+      const key = `${found.num} ${found.gen}`;
+      const existing = objects.get(key);
+      if (existing && existing.offset === found.offset) return existing;
+      objects.delete(key);
+      store(found.num, found.gen, found.body, found.offset, found.end, found.streamStart);
+      return objects.get(key);
+    }
+
+    // Offset of the first of `keywords` at or after `start`, or -1. Searches
+    // a chunk at a time so a remote file is only fetched as far as needed;
+    // each pass starts a keyword's length back to catch one split by a chunk.
+    async function findKeyword(keywords, start) {
+      const overlap = Math.max(...keywords.map(k => k.length)) - 1;
+      let from = Math.max(0, start);
+      for (let chunk = Math.floor(from / RANGE_CHUNK); chunk * RANGE_CHUNK < fileBytes.length; chunk++) {
+        const to = Math.min((chunk + 1) * RANGE_CHUNK, fileBytes.length);
+        await ensureBytes(from, to);
+        const window = fileBytes.subarray(0, to);
+        let best = -1;
+        for (const keyword of keywords) {
+          const i = findKeywordBytes(window, keyword, from);
+          if (i !== -1 && (best === -1 || i < best)) best = i;
+        }
+        if (best !== -1) return best;
+        from = Math.max(from, to - overlap);
+      }
+      return -1;
+    }
+
+    // Bring in a stream object's data and find its "endobj", trusting a
+    // direct /Length before scanning ahead for "endstream".
+    async function ensureStreamBytes(obj) {
+      if (obj.end >= 0 || obj.streamStart < 0) return;
+      const lengthMatch = (obj.dict || '').match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+      let stop = -1;
+      if (lengthMatch) {
+        const guess = obj.streamStart + +lengthMatch[1];
+        await ensureBytes(obj.streamStart, guess + 32);
+        if (endstreamAt(fileBytes, guess)) stop = guess;
+      }
+      if (stop === -1) stop = await findKeyword([ENDSTREAM_BYTES], obj.streamStart);
+      obj.end = stop === -1 ? -1 : await findKeyword([ENDOBJ_BYTES], stop);
+      await ensureBytes(obj.offset, obj.end === -1 ? fileBytes.length : obj.end + ENDOBJ_BYTES.length);
+    }
+
+    function findKeywordBytes(data, keywordBytes, start = 0) {
+      const searchEnd = data.length - keywordBytes.length;
+      for (let i = data.indexOf(keywordBytes[0], start); i !== -1 && i <= searchEnd; i = data.indexOf(keywordBytes[0], i + 1)) {
+        let j = 1;
+        while (j < keywordBytes.length && data[i + j] === keywordBytes[j]) j++;
+        if (j === keywordBytes.length) return i;
+      }
+      return -1;
+    }
+
+    function extractDictAndStreamBoundsRough(objectBytes, globalStartOffset) {
+      if (!objectBytes || objectBytes.length === 0) return { dictStr: null, streamStartOffset: -1, streamEndOffset: -1 };
+
+      let dictStart = -1;
+      for (let i = 0; i < objectBytes.length - 1; i++) {
+        if (objectBytes[i] === 60 && objectBytes[i + 1] === 60) { dictStart = i; break; }
+      }
+      if (dictStart === -1) return { dictStr: null, streamStartOffset: -1, streamEndOffset: -1 };
+
+      let dictEnd = -1;
+      let nestingLevel = 0;
+      let inLiteralString = false;
+      let inHexString = false;
+      let parenNesting = 0;
+
+      for (let i = dictStart; i < objectBytes.length; i++) {
+          const b = objectBytes[i];
+          if (inLiteralString) {
+              if (b === 92) { i++; continue; }
+              if (b === 40) { parenNesting++; }
+              else if (b === 41) {
+                  if (parenNesting > 0) parenNesting--;
+                  else inLiteralString = false;
+              }
+              continue;
+          }
+          if (inHexString) {
+              if (b === 62) inHexString = false;
+              continue;
+          }
+          if (b === 60) {
+              if (i + 1 < objectBytes.length && objectBytes[i+1] === 60) {
+                  nestingLevel++;
+                  i++;
+              } else {
+                  inHexString = true;
+              }
+          } else if (b === 62) {
+              if (i + 1 < objectBytes.length && objectBytes[i+1] === 62) {
+                  nestingLevel--;
+                  i++;
+                  if (nestingLevel === 0) {
+                      dictEnd = i + 1;
+                      break;
+                  }
+              }
+          } else if (b === 40) {
+              inLiteralString = true;
+              parenNesting = 0;
+          }
+      }
+
+      if (dictEnd === -1) return { dictStr: null, streamStartOffset: -1, streamEndOffset: -1 };
+
+      const dictStr = new TextDecoder('latin1').decode(objectBytes.slice(dictStart, dictEnd));
+      const streamKeywordOffsetRel = findKeywordBytes(objectBytes, STREAM_BYTES, dictEnd);
+      if (streamKeywordOffsetRel === -1) return { dictStr, streamStartOffset: -1, streamEndOffset: -1 };
+
+      // "stream" is followed by a single EOL (CRLF, LF, or a stray CR); the
+      // data begins right after it even if its first bytes are whitespace.
+      let streamStartOffsetRel = streamKeywordOffsetRel + STREAM_BYTES.length;
+      while (objectBytes[streamStartOffsetRel] === SPACE) streamStartOffsetRel++;
+      if (objectBytes[streamStartOffsetRel] === CR) streamStartOffsetRel++;
+      if (objectBytes[streamStartOffsetRel] === LF) streamStartOffsetRel++;
+      if (streamStartOffsetRel >= objectBytes.length) return { dictStr, streamStartOffset: -1, streamEndOffset: -1 };
+
+      const endStreamKeywordOffsetRel = findKeywordBytes(objectBytes, ENDSTREAM_BYTES, streamStartOffsetRel);
+      if (endStreamKeywordOffsetRel === -1) return { dictStr, streamStartOffset: globalStartOffset + streamStartOffsetRel, streamEndOffset: -1 };
+
+      // Drop the one EOL that precedes "endstream".
+      let streamEndOffsetRel = endStreamKeywordOffsetRel;
+      if (streamEndOffsetRel > streamStartOffsetRel && objectBytes[streamEndOffsetRel - 1] === LF) streamEndOffsetRel--;
+      if (streamEndOffsetRel > streamStartOffsetRel && objectBytes[streamEndOffsetRel - 1] === CR) streamEndOffsetRel--;
+      return {
+        dictStr,
+        streamStartOffset: globalStartOffset + streamStartOffsetRel,
+        streamEndOffset: globalStartOffset + streamEndOffsetRel
+      };
+    }
+
+    // Resolve an indirect /Length through the xref (or its object stream).
+    async function resolveIndirectLength(objNum, genNum) {
+      const lenObj = await loadObject(objNum, genNum);
+      if (!lenObj) return -1;
+      const num = parseInt(lenObj.raw, 10);
+      return isNaN(num) ? -1 : num;
+    }
+
+    // True when "endstream" follows pos, allowing for the EOL in between.
+    function endstreamAt(bytes, pos) {
+      let i = pos;
+      while (i < bytes.length && i < pos + 3 && (bytes[i] === CR || bytes[i] === LF || bytes[i] === SPACE)) i++;
+      return findKeywordBytes(bytes.subarray(i, i + ENDSTREAM_BYTES.length), ENDSTREAM_BYTES) === 0;
+    }
+
+    function parseFilters(dictStr) {
+      const single = dictStr.match(/\/Filter\s*\/([A-Za-z0-9]+)\b/);
+      if (single) return [single[1]];
+      const arr = dictStr.match(/\/Filter\s*\[([^\]]*)\]/);
+      if (!arr) return [];
+      const names = [];
+      const re = /\/([A-Za-z0-9]+)\b/g;
+      let m;
+      while ((m = re.exec(arr[1]))) names.push(m[1]);
+      return names;
+    }
+
+    async function extractAndDecodeStream(obj) {
+      await readAndDecodeStream(obj, fileBytes);
+      if (obj.streamError) emit('error', { message: `Stream ${obj.num} ${obj.gen}: ${obj.streamError}`, fatal: false, key: `${obj.num} ${obj.gen}` });
+    }
+
+    async function readAndDecodeStream(obj, bytes) {
+      spanStart(`extractAndDecodeStream ${obj.num} ${obj.gen}`);
+      const { raw } = obj;
+      const si = raw.indexOf('stream');
+      if (si === -1) {
+        obj.streamError = 'No stream keyword found';
+        spanEnd(`extractAndDecodeStream ${obj.num} ${obj.gen}`);
+        return;
+      }
+      // Streams only live in top-level objects, which know their byte range.
+      const objStartOffset = obj.offset;
+      if (objStartOffset < 0) {
+        obj.streamError = 'Stream object has no file offset.';
+        return;
+      }
+      await ensureStreamBytes(obj);
+      const objEndOffset = obj.end;
+      const objBytes = bytes.subarray(objStartOffset, objEndOffset === -1 ? bytes.length : objEndOffset + 6);
+      const { dictStr, streamStartOffset, streamEndOffset } = extractDictAndStreamBoundsRough(objBytes, objStartOffset);
+      if (!dictStr) {
+        obj.streamError = 'Could not extract dictionary or stream boundaries.';
+        return;
+      }
+      const filters = PDFFilters.normalizeNames(parseFilters(dictStr));
+      obj.streamInfo = `Filter: ${filters.length ? filters.join(' > ') : 'None'}`;
+      const lengthMatch = dictStr.match(/\/Length\s*(?:(\d+)\s+(\d+)\s+R|(\d+))/);
+      let officialLength = -1;
+      if (lengthMatch) {
+        if (lengthMatch[1] && lengthMatch[2]) {
+          officialLength = await resolveIndirectLength(+lengthMatch[1], +lengthMatch[2]);
+          obj.streamInfo += `, Length: Indirect -> ${officialLength}`;
+        } else {
+          officialLength = parseInt(lengthMatch[3], 10);
+          obj.streamInfo += `, Length: Direct -> ${officialLength}`;
+        }
+      }
+      if (streamStartOffset === -1) {
+        obj.streamError = 'Could not determine stream start offset.';
+        return;
+      }
+      // Trust /Length only when "endstream" follows it; otherwise the keyword wins.
+      const recovery = [];
+      const start = streamStartOffset;
+      let end = -1;
+      if (officialLength >= 0 && endstreamAt(bytes, start + officialLength)) {
+        end = start + officialLength;
+      } else if (streamEndOffset > start) {
+        end = streamEndOffset;
+        recovery.push(officialLength >= 0
+          ? `/Length ${officialLength} does not end at endstream, used the keyword boundary (${end - start} bytes)`
+          : `no usable /Length, used the endstream boundary (${end - start} bytes)`);
+      } else if (officialLength >= 0) {
+        end = Math.min(start + officialLength, bytes.length);
+        recovery.push(`no endstream keyword, trusted /Length${end < start + officialLength ? ' (truncated at end of file)' : ''}`);
+      }
+      if (!(end > start)) {
+        obj.streamError = `Invalid stream bounds (start: ${start}, end: ${end}).`;
+        return;
+      }
+      let streamBytes = bytes.slice(start, end);
+      const cryptFilter = streamCryptFilter(dictStr);
+      if (cryptFilter !== null) {
+        streamBytes = security.decryptStream(streamBytes, obj.num, obj.gen, cryptFilter || undefined);
+        obj.streamInfo += `, Decrypted (${cryptFilter || security.streamMethod()})`;
+      }
+      obj.stream = PDFFilters.bytesToLatin1(streamBytes);
+      if (filters.length) {
+        try {
+          spanStart(`Decode filters ${obj.num} ${obj.gen}`);
+          const parms = PDFFilters.parseDecodeParms(dictStr, filters.length, key => (objects.get(key) || {}).dict);
+          const { bytes: decodedBytes, applied, pending, recovered } = PDFFilters.decode(streamBytes, filters, parms);
+          spanEnd(`Decode filters ${obj.num} ${obj.gen}`);
+          recovery.push(...recovered);
+          obj.decodedBytes = decodedBytes;
+          obj.decoded = PDFFilters.bytesToLatin1(decodedBytes);
+          if (applied.length) obj.streamInfo += `, Decoded ${applied.join(' > ')} (${decodedBytes.length} bytes)`;
+          if (pending.length) obj.streamInfo += `, ${pending.join(' > ')} left for the image decoder`;
+        } catch (err) {
+          obj.streamError = `Stream decoding failed: ${err.message}`;
+        }
+      } else {
+        obj.decodedBytes = streamBytes;
+        obj.decoded = obj.stream;
+        obj.streamInfo += `, Raw stream used as is`;
+      }
+      obj.streamRecovery = recovery;
+      if (recovery.length) {
+        obj.streamInfo += `, Salvaged: ${recovery.join('; ')}`;
+        debugInfo.push(`[Recovery] Stream ${obj.num} ${obj.gen}: ${recovery.join('; ')}`);
+      }
+
+      spanEnd(`extractAndDecodeStream ${obj.num} ${obj.gen}`);
+    }
+
+    // Which crypt filter applies to a stream: '' for the document default
+    // (/StmF), a name for an explicit /Crypt filter, null for no decryption.
+    function streamCryptFilter(dictStr) {
+      if (!security || /\/Type\s*\/XRef\b/.test(dictStr)) return null;
+      if (!security.encryptMetadata && /\/Type\s*\/Metadata\b/.test(dictStr)) return null;
+      if (parseFilters(dictStr)[0] === 'Crypt') {
+        const name = dictStr.match(/\/DecodeParms\s*(?:\[\s*)?<<[^>]*\/Name\s*\/([^\s/<>\[\]()]+)/);
+        return name ? name[1] : 'Identity';
+      }
+      return '';
+    }
+
+    function readTrailerId() {
+      const m = trailerDict.match(/\/ID\s*\[/);
+      if (!m) return new Uint8Array(0);
+      const parsed = PDFSecurity.parseStringBytes(trailerDict, m.index + m[0].length);
+      return parsed ? parsed.bytes : new Uint8Array(0);
+    }
+
+    // Set up the standard security handler from the trailer's /Encrypt entry,
+    // trying the empty user password before asking. Runs once per file, before
+    // any encrypted stream is decoded. Returns false if the file stays locked.
+    async function unlockDocument(entries = xrefEntries) {
+      if (securityChecked) return !securityLocked;
+      securityChecked = true;
+      let encDict = '';
+      const encRef = trailerDict.match(/\/Encrypt\s+(\d+)\s+(\d+)\s+R/);
+      if (encRef) {
+        encryptKey = `${encRef[1]} ${encRef[2]}`;
+        const entry = entries.get(+encRef[1]);
+        const obj = (entry && entry.type === 'in-use' && await loadObjectAt(entry.offset)) || objects.get(encryptKey);
+        encDict = obj ? obj.dict : '';
+      } else if (/\/Encrypt\s*<</.test(trailerDict)) {
+        encDict = extractTopLevelDict(trailerDict.slice(trailerDict.search(/\/Encrypt\s*<</) + 8));
+      } else {
+        return true;
+      }
+      if (!encDict) {
+        debugInfo.push(`[Security] /Encrypt ${encryptKey} not found`);
+        securityLocked = true;
+        return false;
+      }
+      let handler;
+      try {
+        handler = PDFSecurity.createStandardHandler(encDict, readTrailerId());
+      } catch (err) {
+        debugInfo.push(`[Security] ${err.message}`);
+        securityLocked = true;
+        return false;
+      }
+      let as = handler.authenticate('');
+      if (!as && options.password != null) as = handler.authenticate(options.password);
+      let question = 'This PDF is password protected. Enter the password:';
+      while (!as && typeof options.requestPassword === 'function') {
+        const pw = await options.requestPassword(question);
+        if (pw == null) break;
+        as = handler.authenticate(pw);
+        question = 'Incorrect password. Try again:';
+      }
+      if (!as) {
+        debugInfo.push(`[Security] ${handler.describe()}; no valid password given`);
+        securityLocked = true;
+        return false;
+      }
+      security = handler;
+      debugInfo.push(`[Security] ${handler.describe()}; opened with the ${as} password`);
+      for (const obj of objects.values()) decryptObjectStrings(obj);
+      return true;
+    }
+
+    async function expandObjStm(obj) {
+      if (!/\/ObjStm\b/.test(obj.dict || '')) return;
+      if (!obj.decoded) { debugInfo.push(`[expandObjStm] No decoded stream for /ObjStm ${obj.num} ${obj.gen}`); return; }
+      // When encrypted, the stream was decrypted as a whole; the objects inside
+      // are stored without an offset so their strings are not decrypted again.
+      const N_match = obj.dict.match(/\/N\s+(\d+)/);
+      const F_match = obj.dict.match(/\/First\s+(\d+)/);
+      const N = N_match ? +N_match[1] : 0;
+      const F = F_match ? +F_match[1] : 0;
+      if (!N || !F) { debugInfo.push(`[expandObjStm] Missing /N or /First in ${obj.num} ${obj.gen}`); return; }
+      const headerStr = obj.decoded.slice(0, F).trim();
+      const header = headerStr.split(/\s+/).map(Number);
+      if (header.length < N * 2) { debugInfo.push(`[expandObjStm] Header length mismatch in ${obj.num} ${obj.gen}`); return; }
+      let extractedCount = 0;
+      for (let i = 0; i < N; i++) {
+        const num = header[2 * i];
+        const off = header[2 * i + 1];
+        const start = F + off;
+        const end = (i === N - 1) ? obj.decoded.length : F + header[2 * (i + 1) + 1];
+        if (isNaN(num) || isNaN(off) || start > obj.decoded.length || start > end) continue;
+        const body = obj.decoded.slice(start, end).trim();
+        if (body) { store(num, 0, body); extractedCount++; }
+      }
+      debugInfo.push(`[expandObjStm] Expanded /ObjStm ${obj.num} ${obj.gen}: extracted ${extractedCount} of ${N} objects`);
+    }
+
+    // Bring object num gen into `objects` the first time it is asked for:
+    // read it at its xref offset, or expand the object stream holding it.
+    // Returns the object record, or null if the xref has no such object.
+    const loading = new Set();
+    async function loadObject(objNum, gen) {
+      const key = `${objNum} ${gen}`;
+      const entry = xrefEntries.get(objNum);
+      const existing = objects.get(key);
+      if (!entry || entry.type === 'free' || loading.has(objNum)) return existing || null;
+      if (entry.type === 'in-use') {
+        if (existing && existing.offset === entry.offset) return existing;
+        const loaded = await loadObjectAt(entry.offset);
+        if (!loaded || loaded.num !== objNum) {
+          debugInfo.push(`[LazyLoad] No object ${key} at xref offset ${entry.offset}`);
+          // A remote file's offsets are only checked as they are used.
+          if (source && !xrefRepaired) {
+            await reconstructXref();
+            return loadObject(objNum, gen);
+          }
+          return existing || null;
+        }
+        return objects.get(key) || null;
+      }
+      loading.add(objNum);
+      try {
+        await expandObjStmFor(objNum, gen, entry);
+      } finally {
+        loading.delete(objNum);
+      }
+      return objects.get(key) || null;
+    }
+
+    async function expandObjStmFor(objNum, gen, entry) {
+      const objStmKey = `${entry.objStm} 0`;
+      const objStm = await loadObject(entry.objStm, 0);
+      if (!objStm) { debugInfo.push(`[LazyLoad] /ObjStm ${objStmKey} not found for obj ${objNum} ${gen}`); return; }
+      if (objStm.expanded) return;
+      objStm.expanded = true;
+      if (!objStm.processed) {
+        debugInfo.push(`[LazyLoad] Decompressing /ObjStm ${objStmKey} for obj ${objNum} ${gen}`);
+        spanStart(`ObjStm decode ${objStm.num} ${objStm.gen}`);
+        await extractAndDecodeStream(objStm);
+        spanEnd(`ObjStm decode ${objStm.num} ${objStm.gen}`);
+        objStm.processed = true;
+      }
+      if (objStm.decoded) {
+        debugInfo.push(`[LazyLoad] /ObjStm ${objStmKey} decoded, expanding objects.`);
+        spanStart(`ObjStm expand ${objStm.num} ${objStm.gen}`);
+        await expandObjStm(objStm);
+        spanEnd(`ObjStm expand ${objStm.num} ${objStm.gen}`);
+      } else {
+        debugInfo.push(`[LazyLoad] Failed to decode /ObjStm ${objStmKey}: ${objStm.streamError || 'No decoded stream'}`);
+      }
+    }
+
+    function readBytes(bytes, start, length) {
+      let val = 0;
+      for (let i = 0; i < length; i++) val = (val << 8) | bytes[start + i];
+      return val;
+    }
+
+    function parseTraditionalXref(xrefText, target = xrefEntries) {
+      const lines = xrefText.split(/\r\n|\r|\n/);
+      let i = 0;
+      while (i < lines.length) {
+        const line = lines[i].trim();
+        if (line === 'xref') { i++; continue; }
+        if (line.startsWith('trailer')) break;
+        const subsectionMatch = line.match(/^(\d+)\s+(\d+)$/);
+        if (subsectionMatch) {
+          const firstObj = parseInt(subsectionMatch[1], 10);
+          const numObjs = parseInt(subsectionMatch[2], 10);
+          for (let j = 0; j < numObjs; j++) {
+            i++;
+            const entryLine = lines[i]?.trim();
+            if (!entryLine) continue;
+            const entryMatch = entryLine.match(/^(\d{10}) (\d{5}) ([fn])$/);
+            if (entryMatch) {
+              const offset = parseInt(entryMatch[1], 10);
+              const gen = parseInt(entryMatch[2], 10);
+              const status = entryMatch[3];
+              const objNum = firstObj + j;
+              if (status === 'f') target.set(objNum, { type: 'free', nextFree: offset, gen });
+              else if (status === 'n') target.set(objNum, { type: 'in-use', offset, gen });
+            }
+          }
+        }
+        i++;
+      }
+      debugInfo.push(`Parsed ${target.size} entries from traditional xref table`);
+    }
+
+    function parseXrefStream(xrefStreamObj, target = xrefEntries) {
+      if (!xrefStreamObj.decoded) {
+        debugInfo.push(`Cannot parse XRef stream ${xrefStreamObj.num} ${xrefStreamObj.gen}: not decoded.`);
+        return;
+      }
+      const dict = xrefStreamObj.dict;
+      const wMatch = dict.match(/\/W\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s*\]/);
+      const indexMatch = dict.match(/\/Index\s*\[([^\]]*)\]/);
+      const sizeMatch = dict.match(/\/Size\s+(\d+)/);
+      if (!wMatch) { debugInfo.push(`XRef stream ${xrefStreamObj.num} ${xrefStreamObj.gen} missing /W field.`); return; }
+      const W = wMatch.slice(1, 4).map(Number);
+      const Index = indexMatch ? indexMatch[1].trim().split(/\s+/).map(Number).filter(n => !isNaN(n)) : [0, sizeMatch ? parseInt(sizeMatch[1]) : 0];
+      const data = xrefStreamObj.decodedBytes || PDFFilters.latin1ToBytes(xrefStreamObj.decoded);
+      const [w0, w1, w2] = W;
+      const entrySize = w0 + w1 + w2;
+      let byteIdx = 0;
+      for (let i = 0; i < Index.length; i += 2) {
+        const startObj = Index[i];
+        const count = Index[i + 1];
+        for (let j = 0; j < count; j++) {
+          if (byteIdx + entrySize > data.length) break;
+          const type = w0 ? readBytes(data, byteIdx, w0) : 1;
+          const field1 = readBytes(data, byteIdx + w0, w1);
+          const field2 = readBytes(data, byteIdx + w0 + w1, w2);
+          byteIdx += entrySize;
+          const objNum = startObj + j;
+          if (type === 0) target.set(objNum, { type: 'free', nextFree: field1, gen: field2 });
+          else if (type === 1) target.set(objNum, { type: 'in-use', offset: field1, gen: field2 });
+          else if (type === 2) target.set(objNum, { type: 'compressed', objStm: field1, index: field2 });
+        }
+      }
+      debugInfo.push(`Parsed ${target.size} entries from XRef stream ${xrefStreamObj.num} ${xrefStreamObj.gen}`);
+    }
+
+    // --- Replace your cacheFontsFromResources with this ---
+
+    async function cacheFontsFromResources(resourcesDict, pageKey) {
+      debugInfo.push(`[FontCache] Raw /Resources dictionary for page ${pageKey}: ${resourcesDict}`);
+
+      // Accept: <<.../Font ...>>, <...R>, [ ... R ], OR plain " /Font 4 0 R "
+      const fontMatch = resourcesDict.match(
+        /\/Font\s*(<<[\s\S]*?>>|<[^>]*\d+\s+\d+\s+R[^>]*>|\[[^\]]*?\]|\d+\s+\d+\s+R)/
+      );
+      if (!fontMatch) {
+        debugInfo.push(`[FontCache] No /Font dictionary found in /Resources for page ${pageKey}`);
+        return;
+      }
+
+      let fontContainer = fontMatch[1] || '';
+
+      // If /Font is an indirect ref, load its dict
+      const refOnly = !fontContainer.startsWith('<<') && fontContainer.replace(/[<>\[\]]/g, ' ').match(/(^|\s)(\d+)\s+(\d+)\s+R(?=\s|$)/);
+      if (refOnly) {
+        const objNum = +refOnly[2], genNum = +refOnly[3];
+        await loadObject(objNum, genNum);
+        const fontDictObj = objects.get(`${objNum} ${genNum}`);
+        if (!fontDictObj) {
+          debugInfo.push(`[FontCache] /Font ref ${objNum} ${genNum} not found for page ${pageKey}`);
+          return;
+        }
+        fontContainer = fontDictObj.dict || '';
+        debugInfo.push(`[FontCache] /Font is indirect -> using dict of ${objNum} ${genNum}: ${fontContainer}`);
+      }
+
+      // Entries can be inline dict OR <…R> OR plain "4 0 R"
+      const entryRe =
+        /\/([A-Za-z0-9\-\+]+)\s*(?:(<<[\s\S]*?>>)|(<[^>]*(\d+)\s+(\d+)\s+R[^>]*>)|((\d+)\s+(\d+)\s+R))/g;
+
+      let m, found = 0;
+      while ((m = entryRe.exec(fontContainer))) {
+        const fontKey = m[1];
+        const inlineBody = m[2];
+        const refNum = m[4] ? +m[4] : (m[7] ? +m[7] : null);
+        const refGen = m[5] ? +m[5] : (m[8] ? +m[8] : null);
+
+        let fontBody = '';
+        if (inlineBody) {
+          fontBody = inlineBody;
+        } else if (refNum !== null) {
+          await loadObject(refNum, refGen);
+          const fObj = objects.get(`${refNum} ${refGen}`);
+          if (!fObj) {
+            debugInfo.push(`[FontCache] Font object ${refNum} ${refGen} not found for ${fontKey} in page ${pageKey}`);
+            continue;
+          }
+          fontBody = fObj.dict || '';
+        } else {
+          continue;
+        }
+        found++;
+
+        // Grab FontDescriptor + embedded FontFile if any
+        let ttfLatin1 = null;
+        const descRef = fontBody.match(/\/FontDescriptor\s+(\d+)\s+(\d+)\s+R/);
+        if (descRef) {
+          await loadObject(+descRef[1], +descRef[2]);
+          const descObj = objects.get(`${+descRef[1]} ${+descRef[2]}`);
+          if (descObj) {
+            const ffRef = (descObj.dict || '').match(/\/FontFile[123]?\s+(\d+)\s+(\d+)\s+R/);
+            if (ffRef) {
+              await loadObject(+ffRef[1], +ffRef[2]);
+              const fileObj = objects.get(`${+ffRef[1]} ${+ffRef[2]}`);
+              if (fileObj && !fileObj.processed) {
+                await extractAndDecodeStream(fileObj);
+                fileObj.processed = true;
+              }
+              if (fileObj?.decoded) {
+                ttfLatin1 = fileObj.decoded; // latin1 string of binary
+                debugInfo.push(`[FontCache] Embedded font extracted for ${fontKey}, ${ttfLatin1.length} bytes`);
+              }
+            }
+          }
+        }
+
+        // Parse ToUnicode CMap if present
+        let toUnicode = null;
+        const toUniRef = fontBody.match(/\/ToUnicode\s+(\d+)\s+(\d+)\s+R/);
+        if (toUniRef) {
+          await loadObject(+toUniRef[1], +toUniRef[2]);
+          const toObj = objects.get(`${+toUniRef[1]} ${+toUniRef[2]}`);
+          if (toObj && !toObj.processed) {
+            await extractAndDecodeStream(toObj);
+            toObj.processed = true;
+          }
+          if (toObj?.decoded) {
+            toUnicode = parseToUnicodeCMap(toObj.decoded);
+          }
+        }
+
+        const subtype = (fontBody.match(/\/Subtype\s*\/(\w+)/) || [])[1] || 'Unknown';
+        const baseName = (fontBody.match(/\/BaseFont\s*\/([^\s/]+)/) || [])[1] || fontKey;
+        const encoding = (fontBody.match(/\/Encoding\s*\/([^\s/]+)/) || [])[1] || 'StandardEncoding';
+
+        // Install embedded font face so glyph shapes render correctly
+        const cssFamily = baseName.replace(/^[A-Z]{6}\+/, ''); // strip subset prefix
+        if (ttfLatin1) installEmbeddedFontCss(cssFamily, ttfLatin1);
+
+        fontCache.set(fontKey, {
+          type: subtype,
+          name: baseName,
+          encoding,
+          ttf: ttfLatin1,
+          extension: ttfLatin1 ? 'ttf' : null,
+          // ToUnicode mapping for text decoding; renderer will prefer this
+          toUnicode
+        });
+      }
+
+      if (!found) {
+        debugInfo.push(`[FontCache] /Font dict parsed but no entries found for page ${pageKey}`);
+      } else {
+        debugInfo.push(`[FontCache] Parsed ${found} font entries for page ${pageKey}`);
+      }
+    }
+
+    async function readTrailerDict(from) {
+      const idx = await findKeyword([TRAILER_BYTES], from);
+      if (idx === -1) return '';
+      await ensureBytes(idx, idx + 7 + 65536);
+      const rest = textAt(idx + 7, idx + 7 + 65536);
+      return /^\s*<</.test(rest) ? extractTopLevelDict(rest) : '';
+    }
+
+    function readTrailerOffset(dict, key) {
+      const m = (dict || '').match(new RegExp(`\\/${key}\\s+(\\d+)\\b(?!\\s+\\d+\\s+R)`));
+      return m ? parseInt(m[1], 10) : -1;
+    }
+
+    // Read one xref section (table, stream, or hybrid table + /XRefStm) at a
+    // startxref or /Prev offset. Entries are kept per section and merged later.
+    async function readXrefSection(offset) {
+      await ensureBytes(offset, offset + 64);
+      const head = textAt(offset, offset + 64);
+      const entries = new Map();
+      if (/^\s*xref\b/.test(head)) {
+        const trailerIdx = await findKeyword([TRAILER_BYTES], offset);
+        const tableEnd = trailerIdx === -1 ? fileBytes.length : trailerIdx;
+        await ensureBytes(offset, tableEnd);
+        parseTraditionalXref(textAt(offset, tableEnd), entries);
+        const trailer = await readTrailerDict(offset);
+        const section = { offset, kind: 'table', trailer, prev: readTrailerOffset(trailer, 'Prev'), entries };
+        const xrefStm = readTrailerOffset(trailer, 'XRefStm');
+        if (xrefStm >= 0) {
+          // Hybrid file: stream entries come after the table's, before /Prev.
+          const hidden = await readXrefStreamAt(xrefStm);
+          if (hidden) {
+            let added = 0;
+            for (const [objNum, entry] of hidden.entries) {
+              if (!entries.has(objNum)) { entries.set(objNum, entry); added++; }
+            }
+            section.kind = 'hybrid';
+            section.xrefStm = xrefStm;
+            debugInfo.push(`[XRef] Hybrid section at ${offset}: merged ${added} entries from /XRefStm at ${xrefStm}`);
+          } else {
+            debugInfo.push(`[XRef] /XRefStm ${xrefStm} referenced at ${offset} could not be read`);
+          }
+        }
+        return section;
+      }
+      if (/^\s*\d+\s+\d+\s+obj\b/.test(head)) {
+        const stm = await readXrefStreamAt(offset);
+        if (!stm) return null;
+        return { offset, kind: 'stream', trailer: stm.obj.dict, prev: readTrailerOffset(stm.obj.dict, 'Prev'), entries: stm.entries };
+      }
+      return null;
+    }
+
+    async function readXrefStreamAt(offset) {
+      const obj = await loadObjectAt(offset);
+      if (!obj || !/\/Type\s*\/XRef\b/.test(obj.dict || '')) return null;
+      if (!obj.processed) {
+        await extractAndDecodeStream(obj);
+        obj.processed = true;
+      }
+      const entries = new Map();
+      parseXrefStream(obj, entries);
+      return { obj, entries };
+    }
+
+    // Only headers already in memory are checked; objects of a remote file
+    // are checked when loadObject() first fetches them.
+    function countBadXrefEntries() {
+      let bad = 0, total = 0;
+      for (const [objNum, entry] of xrefEntries) {
+        if (entry.type !== 'in-use') continue;
+        if (source && !source.has(entry.offset, entry.offset + 64)) continue;
+        total++;
+        const h = parseObjectHeader(entry.offset);
+        if (!h || h.num !== objNum || h.gen !== entry.gen) bad++;
+      }
+      if (bad) debugInfo.push(`[Repair] ${bad} of ${total} in-use xref entries do not point at their object header`);
+      return bad;
+    }
+
+    // Rebuild xrefEntries from the bytes themselves: every "N G obj" header,
+    // plus the contents of every /ObjStm. Later definitions win, as they would
+    // in an incremental update. Discrepancies with the declared xref are logged.
+    // This is the only place the whole file is scanned.
+    async function reconstructXref() {
+      debugInfo.push('[Repair] Reconstructing xref by scanning for object headers');
+      await ensureBytes(0, fileBytes.length);
+      const txt = getFileText();
+      const declared = new Map(xrefEntries);
+      const rebuilt = new Map();
+      const position = new Map();
+      const objStms = [];
+      const xrefStreams = [];
+      const catalogs = [];
+      const re = /(\d+)\s+(\d+)\s+obj\b/g;
+      let m;
+      while ((m = re.exec(txt))) {
+        const before = m.index > 0 ? txt.charCodeAt(m.index - 1) : 10;
+        if (before >= 48 && before <= 57) continue;
+        const found = await readObjectAt(m.index);
+        if (!found) continue;
+        rebuilt.set(found.num, { type: 'in-use', offset: found.offset, gen: found.gen, repaired: true });
+        position.set(found.num, found.offset);
+        const dict = extractTopLevelDict(found.body);
+        if (/\/Type\s*\/ObjStm\b/.test(dict)) objStms.push(found);
+        else if (/\/Type\s*\/XRef\b/.test(dict)) xrefStreams.push({ offset: found.offset, dict });
+        else if (/\/Type\s*\/Catalog\b/.test(dict)) catalogs.push(found);
+        const end = found.end >= 0 ? found.end : findKeywordBytes(fileBytes, ENDOBJ_BYTES, found.streamStart);
+        if (end !== -1) re.lastIndex = end + 6;
+      }
+
+      // Trailer: the last classic trailer or xref stream dict naming a /Root.
+      // It is needed now for /Encrypt, before any object stream is decoded.
+      const candidates = xrefStreams.map(x => ({ offset: x.offset, dict: x.dict }));
+      const tr = /trailer\s*<</g;
+      while ((m = tr.exec(txt))) candidates.push({ offset: m.index, dict: await readTrailerDict(m.index) });
+      candidates.sort((a, b) => b.offset - a.offset);
+      const withRoot = candidates.find(c => /\/Root\s+\d+\s+\d+\s+R/.test(c.dict || ''));
+      if (withRoot && !trailerDict) trailerDict = withRoot.dict;
+      await unlockDocument(rebuilt);
+
+      for (const found of objStms) {
+        const stm = await loadObjectAt(found.offset);
+        if (!stm) continue;
+        if (!stm.processed) {
+          await extractAndDecodeStream(stm);
+          stm.processed = true;
+        }
+        const n = +((stm.dict.match(/\/N\s+(\d+)/) || [])[1] || 0);
+        const first = +((stm.dict.match(/\/First\s+(\d+)/) || [])[1] || 0);
+        if (!stm.decoded || !n || !first) {
+          debugInfo.push(`[Repair] /ObjStm ${stm.num} ${stm.gen} could not be indexed: ${stm.streamError || 'missing /N or /First'}`);
+          continue;
+        }
+        const header = stm.decoded.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < n && 2 * i + 1 < header.length; i++) {
+          const objNum = header[2 * i];
+          if (isNaN(objNum)) continue;
+          // A direct definition after this stream is newer than the compressed one.
+          if ((position.get(objNum) ?? -1) > found.offset) continue;
+          rebuilt.set(objNum, { type: 'compressed', objStm: stm.num, index: i, repaired: true });
+          position.set(objNum, found.offset);
+        }
+      }
+
+      // Log every difference between what the file declared and what it holds.
+      for (const [objNum, entry] of declared) {
+        const actual = rebuilt.get(objNum);
+        if (entry.type === 'free') continue;
+        if (!actual) {
+          debugInfo.push(`[Repair] Object ${objNum}: declared ${entry.type === 'in-use' ? `at offset ${entry.offset}` : `in ObjStm ${entry.objStm}`}, but no definition was found`);
+        } else if (entry.type === 'in-use' && actual.type === 'in-use' && entry.offset !== actual.offset) {
+          const shift = actual.offset - entry.offset;
+          debugInfo.push(`[Repair] Object ${objNum}: declared offset ${entry.offset}, header found at ${actual.offset} (${shift > 0 ? '+' : ''}${shift})`);
+        } else if (entry.type !== actual.type) {
+          debugInfo.push(`[Repair] Object ${objNum}: declared ${entry.type}, found ${actual.type}`);
+        } else if (entry.type === 'compressed' && entry.objStm !== actual.objStm) {
+          debugInfo.push(`[Repair] Object ${objNum}: declared in ObjStm ${entry.objStm}, found in ObjStm ${actual.objStm}`);
+        }
+      }
+      for (const [objNum, actual] of rebuilt) {
+        if (!declared.has(objNum) || declared.get(objNum).type === 'free') {
+          debugInfo.push(`[Repair] Object ${objNum}: ${actual.type === 'in-use' ? `found at offset ${actual.offset}` : `found in ObjStm ${actual.objStm}`}, missing from the declared xref`);
+        }
+      }
+
+      xrefEntries.clear();
+      for (const [objNum, entry] of rebuilt) xrefEntries.set(objNum, entry);
+      xrefRepaired = true;
+
+      // Root from that trailer, else the last /Catalog object in the file.
+      if (withRoot) {
+        const rm = withRoot.dict.match(/\/Root\s+(\d+)\s+(\d+)\s+R/);
+        if (rebuilt.has(+rm[1])) rootKey = `${rm[1]} ${rm[2]}`;
+      }
+      if (!rootKey || !rebuilt.has(+rootKey.split(' ')[0])) {
+        const catalog = catalogs[catalogs.length - 1];
+        rootKey = catalog ? `${catalog.num} ${catalog.gen}` : '';
+        if (catalog) debugInfo.push(`[Repair] No usable trailer /Root; using /Catalog ${rootKey}`);
+      }
+      debugInfo.push(`[Repair] Rebuilt ${rebuilt.size} xref entries (${objStms.length} object stream(s)), root ${rootKey || 'none'}`);
+    }
+
+    // startxref belongs in the last 1024 bytes; allow for trailing junk
+    // before falling back to the whole file.
+    async function findStartxref() {
+      await ensureBytes(fileBytes.length - 4096, fileBytes.length);
+      let tail = textAt(fileBytes.length - 4096, fileBytes.length);
+      if (tail.lastIndexOf('startxref') === -1) {
+        await ensureBytes(0, fileBytes.length);
+        tail = getFileText();
+      }
+      const idx = tail.lastIndexOf('startxref');
+      return idx === -1 ? null : tail.slice(idx).match(/^startxref\s*(\d+)/);
+    }
+
+    async function discoverRootAndXrefs() {
+      rootKey = '';
+      trailerDict = '';
+      xrefRevisions.length = 0;
+      const startxrefMatch = await findStartxref();
+
+      // Walk the /Prev chain from the newest section back to the original file.
+      const sections = [];
+      const seen = new Set();
+      let offset = startxrefMatch ? parseInt(startxrefMatch[1], 10) : -1;
+      while (offset >= 0 && !seen.has(offset)) {
+        seen.add(offset);
+        const section = await readXrefSection(offset);
+        if (!section) {
+          debugInfo.push(`[XRef] No xref table or stream found at offset ${offset}`);
+          break;
+        }
+        sections.push(section);
+        offset = section.prev;
+      }
+
+      // Number revisions oldest = 0; the newest definition of each object wins.
+      sections.forEach((s, i) => { s.revision = sections.length - 1 - i; });
+      for (const s of sections) {
+        for (const [objNum, entry] of s.entries) {
+          if (!xrefEntries.has(objNum)) xrefEntries.set(objNum, { ...entry, revision: s.revision });
+        }
+      }
+      xrefRevisions.push(...sections.slice().reverse());
+      if (sections.length) {
+        debugInfo.push(`[XRef] Merged ${sections.length} xref section(s) into ${xrefEntries.size} entries`);
+        trailerDict = sections[0].trailer || '';
+        for (const s of sections) {
+          const rootMatch = (s.trailer || '').match(/\/Root\s+(\d+)\s+(\d+)\s+R/);
+          if (rootMatch) { rootKey = `${rootMatch[1]} ${rootMatch[2]}`; break; }
+        }
+      }
+
+      if (!sections.length) {
+        debugInfo.push(`[Repair] startxref ${startxrefMatch ? `offset ${startxrefMatch[1]} does not point at an xref table or stream` : 'keyword not found'}`);
+      }
+      if (!sections.length || countBadXrefEntries() > 0) await reconstructXref();
+
+      if (!rootKey) {
+        const tr = /trailer[\s\r\n]*<<([\s\S]*?)>>/g;
+        await ensureBytes(0, fileBytes.length);
+        const txt = getFileText();
+        let m, lastTrailer = '';
+        while (m = tr.exec(txt)) lastTrailer = m[1];
+        if (lastTrailer) {
+          const m2 = lastTrailer.match(/\/Root\s+(\d+)\s+(\d+)\s+R/);
+          if (m2) rootKey = `${m2[1]} ${m2[2]}`;
+          if (!trailerDict) trailerDict = `<<${lastTrailer}>>`;
+        }
+      }
+      if (!(await unlockDocument())) return;
+      if (rootKey) {
+        const [num, gen] = rootKey.split(' ').map(Number);
+        await loadObject(num, gen);
+      }
+    }
+
+    // Page attributes a /Pages node hands down to pages that leave them out
+    // (PDF 1.7 §7.7.3.4). A page keeps the ones it takes as obj.inherited,
+    // its own dict untouched. The tree walk passes them down; a page found
+    // by hint or scan climbs its /Parent chain instead.
+    const INHERITABLE_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+    function inheritAttributes(nodeDict, inherited) {
+      const out = { ...inherited };
+      for (const key of INHERITABLE_KEYS) {
+        const value = dictValue(nodeDict, key);
+        if (value) out[key] = value;
+      }
+      return out;
+    }
+
+    function setInherited(page, inherited) {
+      page.inherited = {};
+      for (const key of INHERITABLE_KEYS) {
+        if (inherited[key] && !dictValue(page.dict, key)) page.inherited[key] = inherited[key];
+      }
+    }
+
+    async function resolveInherited(page) {
+      if (page.inherited) return;
+      const chain = [];
+      const seen = new Set([`${page.num} ${page.gen}`]);
+      let parentRef = (page.dict || '').match(/\/Parent\s+(\d+)\s+(\d+)\s+R/);
+      while (parentRef && !seen.has(`${parentRef[1]} ${parentRef[2]}`)) {
+        seen.add(`${parentRef[1]} ${parentRef[2]}`);
+        const parent = await loadObject(+parentRef[1], +parentRef[2]);
+        if (!parent) break;
+        chain.unshift(parent.dict || '');
+        parentRef = (parent.dict || '').match(/\/Parent\s+(\d+)\s+(\d+)\s+R/);
+      }
+      setInherited(page, chain.reduce((inherited, dict) => inheritAttributes(dict, inherited), {}));
+    }
+
+    // Fonts of a page's /Resources go into fontCache as its page is found.
+    async function cachePageFonts(obj) {
+      const key = `${obj.num} ${obj.gen}`;
+      await resolveInherited(obj);
+      const resources = dictValue(obj.dict, 'Resources') || obj.inherited.Resources || '';
+      if (!resources) {
+        debugInfo.push(`[FontCache] No /Resources dictionary found for page ${key}`);
+        return;
+      }
+      if (obj.inherited.Resources) debugInfo.push(`[FontCache] Page ${key} inherits /Resources ${resources.length > 40 ? 'dictionary' : resources}`);
+      const ref = resources.match(/^(\d+)\s+(\d+)\s+R$/);
+      if (ref) {
+        const resourcesKey = `${ref[1]} ${ref[2]}`;
+        const resourcesObj = await loadObject(+ref[1], +ref[2]);
+        if (resourcesObj) {
+          await cacheFontsFromResources(resourcesObj.dict || '', key);
+        } else {
+          debugInfo.push(`[FontCache] Resources object ${resourcesKey} not found for page ${key}`);
+        }
+      } else {
+        await cacheFontsFromResources(resources, key);
+      }
+    }
+
+    // Dictionary text of a value that may be a reference to it.
+    async function resolveDict(value) {
+      const ref = (value || '').match(/^(\d+)\s+(\d+)\s+R$/);
+      if (!ref) return value || '';
+      const obj = await loadObject(+ref[1], +ref[2]);
+      return obj ? obj.dict || '' : '';
+    }
+
+    // Array text of a value that may be a reference to it.
+    async function resolveArray(value) {
+      const ref = (value || '').match(/^(\d+)\s+(\d+)\s+R$/);
+      if (!ref) return value || '';
+      const obj = await loadObject(+ref[1], +ref[2]);
+      return obj ? obj.raw.trim() : '';
+    }
+
+    // Entries of a number tree (PDF 1.7 §7.9.7) as [key, value] pairs in
+    // key order, with /Kids followed depth first.
+    async function readNumberTree(value, out = [], seen = new Set()) {
+      if (seen.has(value) || seen.size > 10000) return out;
+      seen.add(value);
+      const node = await resolveDict(value);
+      const nums = dictValue(node, 'Nums');
+      const re = /(-?\d+)\s+(\d+\s+\d+\s+R|<<)/g;
+      let m;
+      while ((m = re.exec(nums))) {
+        if (m[2] !== '<<') {
+          out.push([+m[1], m[2]]);
+          continue;
+        }
+        const dictStart = m.index + m[0].length - 2;
+        const dict = extractTopLevelDict(nums.slice(dictStart));
+        out.push([+m[1], dict]);
+        re.lastIndex = dictStart + dict.length;
+      }
+      const kids = dictValue(node, 'Kids').match(/\d+\s+\d+\s+R/g) || [];
+      for (const kid of kids) await readNumberTree(kid, out, seen);
+      return out;
+    }
+
+    // Labels of all pages from the Catalog's /PageLabels, or null when the
+    // document has none (pages are then known by number).
+    let pageLabels;
+    async function getPageLabels() {
+      if (pageLabels !== undefined) return pageLabels;
+      const root = objects.get(rootKey);
+      const tree = root ? dictValue(root.dict, 'PageLabels') : '';
+      if (!tree) return (pageLabels = null);
+      const ranges = [];
+      for (const [start, value] of await readNumberTree(tree)) {
+        const dict = await resolveDict(value);
+        const style = (dict.match(/\/S\s*\/([A-Za-z])\b/) || [])[1] || '';
+        const first = +(dict.match(/\/St\s+(\d+)/) || [])[1] || 1;
+        ranges.push({ start, style, prefix: decodeTextString(stringValue(dict, 'P')), first });
+      }
+      ranges.sort((a, b) => a.start - b.start);
+      debugInfo.push(`[PageLabels] ${ranges.length} range(s): ${ranges.map(r => `${r.start}:${r.style || '-'}${r.prefix ? ` "${r.prefix}"` : ''}${r.first !== 1 ? ` from ${r.first}` : ''}`).join(', ')}`);
+      pageLabels = Array.from({ length: doc.numPages }, (_, i) => formatPageLabel(i, ranges));
+      return pageLabels;
+    }
+
+    // Entries of a name tree (§7.9.6) as [key, value] pairs, keys as
+    // byte strings, with /Kids followed depth first.
+    async function readNameTree(value, out = [], seen = new Set()) {
+      if (seen.has(value) || seen.size > 10000) return out;
+      seen.add(value);
+      const node = await resolveDict(value);
+      const names = dictValue(node, 'Names');
+      for (let i = 1; i < names.length - 1;) {
+        const key = PDFSecurity.parseStringBytes(names, i);
+        if (!key || key.end <= i) break;
+        const entry = valueAt(names, key.end);
+        if (!entry.value) break;
+        out.push([String.fromCharCode(...key.bytes), entry.value]);
+        i = entry.end;
+        while (/[\s\]]/.test(names[i] || '')) i++;
+      }
+      const kids = dictValue(node, 'Kids').match(/\d+\s+\d+\s+R/g) || [];
+      for (const kid of kids) await readNameTree(kid, out, seen);
+      return out;
+    }
+
+    // Named destinations: the Catalog's /Names /Dests tree and the older
+    // /Dests dictionary, keyed by the name's bytes.
+    let namedDests = null;
+    async function getNamedDests() {
+      if (namedDests) return namedDests;
+      namedDests = new Map();
+      const root = objects.get(rootKey);
+      const names = await resolveDict(root ? dictValue(root.dict, 'Names') : '');
+      const tree = dictValue(names, 'Dests');
+      if (tree) for (const [key, value] of await readNameTree(tree)) namedDests.set(key, value);
+      const dests = await resolveDict(root ? dictValue(root.dict, 'Dests') : '');
+      const re = /\/([^\s\/\[\]<>()]+)/g;
+      let m;
+      while ((m = re.exec(dests.slice(2)))) {
+        const entry = valueAt(dests, m.index + m[0].length + 2);
+        namedDests.set(decodeName(m[1]), entry.value);
+        re.lastIndex = entry.end - 2;
+      }
+      debugInfo.push(`[Dests] ${namedDests.size} named destination(s)`);
+      return namedDests;
+    }
+
+    /**
+     * Where a destination points: { pageIndex, pageKey, type, args } for an
+     * explicit [page /XYZ left top zoom]-style array, a name or string
+     * looked up in the named destinations, or a reference to either; null
+     * when it leads nowhere. args are numbers, or null for "unchanged".
+     */
+    async function resolveDestination(dest, depth = 0) {
+      let value = (dest || '').trim();
+      if (depth > 8) return null;
+      const ref = value.match(/^(\d+)\s+(\d+)\s+R$/);
+      if (ref) {
+        const obj = await loadObject(+ref[1], +ref[2]);
+        value = obj ? obj.raw.trim() : '';
+      }
+      if (value.startsWith('<<')) value = dictValue(value, 'D');
+      if (/^[/(<]/.test(value)) {
+        const name = value[0] === '/'
+          ? decodeName(value)
+          : String.fromCharCode(...PDFSecurity.parseStringBytes(value).bytes);
+        const target = (await getNamedDests()).get(name);
+        if (target === undefined) debugInfo.push(`[Dests] Unknown destination "${name}"`);
+        return target === undefined ? null : resolveDestination(target, depth + 1);
+      }
+      const m = value.match(/^\[\s*(?:(\d+)\s+(\d+)\s+R|(\d+))\s*\/(\w+)([^\]]*)\]/);
+      if (!m) return null;
+      const args = m[5].trim().split(/\s+/).filter(Boolean).map(v => v === 'null' ? null : +v);
+      let pageKey = m[1] ? `${m[1]} ${m[2]}` : null;
+      let pageIndex = m[3] !== undefined ? +m[3] : -1;
+      if (pageKey) {
+        if (!pagesComplete) await loadAllPages();
+        pageIndex = pages.findIndex(p => `${p.num} ${p.gen}` === pageKey);
+      } else if (pages[pageIndex]) {
+        pageKey = `${pages[pageIndex].num} ${pages[pageIndex].gen}`;
+      }
+      return { pageIndex, pageKey, type: m[4], args };
+    }
+
+    // File name of a file specification (§7.11): a string, or a
+    // dictionary's /UF or /F.
+    async function fileSpecName(value) {
+      const spec = /^\d+\s+\d+\s+R$/.test(value) ? await resolveDict(value) : value;
+      if (!spec.startsWith('<<')) return decodeTextString(spec);
+      return decodeTextString(dictValue(spec, 'UF') || dictValue(spec, 'F'));
+    }
+
+    // Where an outline item or link goes: its /Dest, or its /A action
+    // ({ type: 'GoTo', dest }, { type: 'URI', uri }, { type: 'GoToR' or
+    // 'Launch', file, dest }, or just { type }).
+    async function readLinkTarget(dictStr) {
+      const dest = dictValue(dictStr, 'Dest');
+      if (dest) return { type: 'GoTo', dest };
+      const action = await resolveDict(dictValue(dictStr, 'A'));
+      if (!action) return null;
+      const type = (action.match(/\/S\s*\/(\w+)/) || [])[1] || '';
+      if (type === 'GoTo') return { type, dest: dictValue(action, 'D') };
+      if (type === 'URI') return { type, uri: decodeTextString(stringValue(action, 'URI')) };
+      if (type === 'GoToR' || type === 'Launch') {
+        const file = dictValue(action, 'F') || dictValue(await resolveDict(dictValue(action, 'Win')), 'F');
+        return { type, file: file ? await fileSpecName(file) : '', dest: dictValue(action, 'D') };
+      }
+      return { type };
+    }
+
+    /**
+     * Link annotations of a page (§12.5.6.5) as { key, rect, target }:
+     * rect is [llx, lly, urx, ury] in user space, target as readLinkTarget
+     * gives it, key the annotation's object key when it has one.
+     */
+    async function getPageLinks(page) {
+      const annots = await resolveArray(dictValue(page.dict, 'Annots'));
+      const links = [];
+      for (const value of arrayItems(annots)) {
+        const dict = await resolveDict(value);
+        if (!/\/Subtype\s*\/Link\b/.test(dict)) continue;
+        const rect = parseBox(dictValue(dict, 'Rect'));
+        if (!rect) continue;
+        const key = /R$/.test(value) ? value.replace(/\s+R$/, '').replace(/\s+/, ' ') : null;
+        links.push({ key, rect, target: await readLinkTarget(dict) });
+      }
+      if (links.length) debugInfo.push(`[Links] Page ${page.num} ${page.gen}: ${links.length} link(s)`);
+      return links;
+    }
+
+    // The normal appearance (/AP /N, §12.5.5) of an annotation: the names
+    // of its appearance states, and the stream key ("num gen") to draw,
+    // chosen by /AS when there are states. stream is null without one.
+    async function readAppearance(annotDict) {
+      const ap = await resolveDict(dictValue(annotDict, 'AP'));
+      const normal = dictValue(ap, 'N');
+      const ref = normal.match(/^(\d+)\s+(\d+)\s+R$/);
+      const obj = ref ? await loadObject(+ref[1], +ref[2]) : null;
+      if (obj && /\bstream\s*$/.test(obj.raw)) return { states: [], stream: `${obj.num} ${obj.gen}` };
+      const states = dictEntries(obj ? obj.dict : normal) || [];
+      const state = decodeName(dictValue(annotDict, 'AS'));
+      const chosen = states.find(([k]) => decodeName(k) === state);
+      const streamRef = chosen && chosen[1].match(/^(\d+)\s+(\d+)\s+R$/);
+      return { states: states.map(([k]) => decodeName(k)), stream: streamRef ? `${streamRef[1]} ${streamRef[2]}` : null };
+    }
+
+    // The markup entries of an annotation dictionary, for getPageAnnotations.
+    async function readMarkup(dict) {
+      const text = async key => (await textOrName(dictValue(dict, key))) || '';
+      const irt = dictValue(dict, 'IRT').match(/^(\d+)\s+(\d+)\s+R$/);
+      const bs = await resolveDict(dictValue(dict, 'BS'));
+      const border = numberArray(dictValue(dict, 'Border'));
+      const da = await text('DA');
+      const ca = dictValue(dict, 'CA');
+      const inkList = [];
+      for (const path of arrayItems(await resolveArray(dictValue(dict, 'InkList')))) {
+        inkList.push(numberArray(/R$/.test(path) ? await resolveArray(path) : path));
+      }
+      return {
+        author: await text('T'),
+        subject: await text('Subj'),
+        contents: await text('Contents'),
+        created: parsePdfDate(await text('CreationDate')),
+        modified: parsePdfDate(await text('M')),
+        irt: irt ? `${irt[1]} ${irt[2]}` : null,
+        replyType: decodeName(dictValue(dict, 'RT')) || (irt ? 'R' : null),
+        stateModel: (await text('StateModel')) || null,
+        markedState: (await text('State')) || null,
+        color: annotationColor(dictValue(dict, 'C')),
+        interiorColor: annotationColor(dictValue(dict, 'IC')),
+        opacity: ca ? +ca : 1,
+        borderWidth: dictValue(bs, 'W') ? +dictValue(bs, 'W') : border.length >= 3 ? border[2] : 1,
+        quadPoints: numberArray(await resolveArray(dictValue(dict, 'QuadPoints'))),
+        inkList,
+        fontSize: +(da.match(/([\d.]+)\s+Tf/) || [])[1] || 0,
+        textColor: annotationColor((da.match(/((?:[\d.]+\s+){1,4})(?:rg|g|k)\b/) || [])[1])
+      };
+    }
+
+    /**
+     * Annotations of the whole document as reply threads: those that are
+     * not a reply (/IRT) to another, each with pageIndex and its replies
+     * nested under `replies`, oldest first. Popups are left out; they
+     * show their parent's text.
+     */
+    async function getComments() {
+      if (!pagesComplete) await loadAllPages();
+      const all = [];
+      for (const [pageIndex, page] of pages.entries()) {
+        for (const a of await getPageAnnotations(page)) {
+          if (a.subtype !== 'Popup') all.push({ ...a, pageIndex, replies: [] });
+        }
+      }
+      const byKey = new Map(all.filter(a => a.key).map(a => [a.key, a]));
+      // A reply whose /IRT chain loops back to itself stays at the top.
+      const parentOf = a => {
+        const seen = new Set([a]);
+        for (let p = byKey.get(a.irt); p; p = byKey.get(p.irt)) {
+          if (seen.has(p)) return null;
+          seen.add(p);
+        }
+        return byKey.get(a.irt) || null;
+      };
+      const roots = [];
+      for (const a of all) {
+        const parent = a.irt ? parentOf(a) : null;
+        (parent ? parent.replies : roots).push(a);
+      }
+      const time = a => (a.created || a.modified || 0).valueOf();
+      for (const a of all) a.replies.sort((x, y) => time(x) - time(y));
+      return roots;
+    }
+
+    // Form space to default user space for an appearance stream (§12.5.5):
+    // its /BBox through /Matrix, then scaled and moved onto the /Rect.
+    function appearanceTransform(rect, bbox, matrix) {
+      const [a, b, c, d, e, f] = matrix;
+      const xs = [], ys = [];
+      for (const [x, y] of [[bbox[0], bbox[1]], [bbox[2], bbox[1]], [bbox[0], bbox[3]], [bbox[2], bbox[3]]]) {
+        xs.push(a * x + c * y + e);
+        ys.push(b * x + d * y + f);
+      }
+      const [x0, y0] = [Math.min(...xs), Math.min(...ys)];
+      const sx = (rect[2] - rect[0]) / ((Math.max(...xs) - x0) || 1);
+      const sy = (rect[3] - rect[1]) / ((Math.max(...ys) - y0) || 1);
+      return [a * sx, b * sy, c * sx, d * sy, (e - x0) * sx + rect[0], (f - y0) * sy + rect[1]];
+    }
+
+    /**
+     * Annotations of a page as { key, subtype, rect, flags, hidden,
+     * noView, print, state, oc, appearance } plus what markup annotations
+     * (§12.5.6.2) say: author (/T), subject, contents, created, modified,
+     * irt (key of the annotation replied to), replyType, stateModel,
+     * color and interiorColor ([r, g, b] or null), opacity, borderWidth,
+     * quadPoints, inkList, fontSize and textColor (from /DA). oc is the
+     * key of its /OC optional content group or membership, if any.
+     * appearance is { key, bbox, matrix, transform } for the normal
+     * appearance stream, with transform taking its form space to user
+     * space; null when there is none to draw.
+     */
+    async function getPageAnnotations(page) {
+      const list = [];
+      for (const value of arrayItems(await resolveArray(dictValue(page.dict, 'Annots')))) {
+        const dict = await resolveDict(value);
+        const rect = parseBox(dictValue(dict, 'Rect'));
+        if (!rect) continue;
+        const flags = +dictValue(dict, 'F') || 0;
+        let appearance = null;
+        const { stream } = await readAppearance(dict);
+        const form = stream ? await loadObject(...stream.split(' ').map(Number)) : null;
+        const bbox = form && parseBox(dictValue(form.dict, 'BBox'));
+        if (bbox) {
+          const m = numberArray(dictValue(form.dict, 'Matrix'));
+          const matrix = m.length === 6 ? m : [1, 0, 0, 1, 0, 0];
+          appearance = { key: stream, bbox, matrix, transform: appearanceTransform(rect, bbox, matrix) };
+        }
+        list.push({
+          key: /R$/.test(value) ? value.replace(/\s+R$/, '').replace(/\s+/, ' ') : null,
+          subtype: decodeName(dictValue(dict, 'Subtype')),
+          rect, flags,
+          hidden: !!(flags & 2), print: !!(flags & 4), noView: !!(flags & 32),
+          state: decodeName(dictValue(dict, 'AS')) || null,
+          oc: (dictValue(dict, 'OC').match(/^(\d+)\s+(\d+)\s+R$/) || []).slice(1).join(' ') || null,
+          appearance,
+          ...await readMarkup(dict)
+        });
+      }
+      if (list.length) debugInfo.push(`[Annots] Page ${page.num} ${page.gen}: ${list.length} annotation(s), ${list.filter(a => a.appearance).length} with appearances`);
+      return list;
+    }
+
+    /**
+     * What the document says about itself: its version (file header and
+     * Catalog /Version), whether it is linearized, tagged or incrementally
+     * updated, the /Info entries ({ key, value, date }), the XMP
+     * properties, and the entries where /Info and XMP disagree.
+     */
+    let metadata;
+    async function getMetadata() {
+      if (metadata) return metadata;
+      await ensureBytes(0, 1024);
+      const head = textAt(0, 1024);
+      const root = objects.get(rootKey);
+      const catalog = root ? root.dict : '';
+      const header = (head.match(/%PDF-(\d+\.\d+)/) || [])[1] || '';
+      const catalogVersion = dictValue(catalog, 'Version').replace(/^\//, '');
+      // A linearized file's own xref sections lie within its /L bytes.
+      const linearized = head.match(/\/Linearized\b[^>]*\/L\s+(\d+)/);
+      const updates = linearized
+        ? xrefRevisions.filter(r => r.offset >= +linearized[1]).length
+        : Math.max(0, xrefRevisions.length - 1);
+      const markInfo = await resolveDict(dictValue(catalog, 'MarkInfo'));
+
+      const infoKey = dictValue(trailerDict, 'Info');
+      const info = [];
+      for (const [key, raw] of dictEntries(await resolveDict(infoKey)) || []) {
+        let value = raw;
+        const ref = value.match(/^(\d+)\s+(\d+)\s+R$/);
+        if (ref) {
+          const obj = await loadObject(+ref[1], +ref[2]);
+          value = obj ? obj.raw.trim() : '';
+        }
+        const text = /^[(<]/.test(value) && !value.startsWith('<<') ? decodeTextString(value) : value.replace(/^\//, '');
+        info.push({ key, value: text, date: /Date$/.test(key) ? parsePdfDate(text) : null });
+      }
+
+      const xmpKey = dictValue(catalog, 'Metadata');
+      let xmp = null;
+      if (/^\d+\s+\d+\s+R$/.test(xmpKey)) {
+        const stream = await decodeStream(xmpKey.split(/\s+/).slice(0, 2).join(' '));
+        if (stream && stream.bytes.length) xmp = parseXmp(new TextDecoder().decode(stream.bytes));
+      }
+
+      const mismatches = [];
+      for (const [key, xmpName] of xmp ? INFO_XMP : []) {
+        const entry = info.find(e => e.key === key);
+        if (!entry || xmp[xmpName] === undefined) continue;
+        const same = entry.date
+          ? Math.abs(entry.date - new Date(xmp[xmpName])) < 1000
+          : entry.value.replace(/\s+/g, ' ').trim() === xmp[xmpName];
+        if (!same) mismatches.push({ key, xmpKey: xmpName, info: entry.value, xmp: xmp[xmpName] });
+      }
+      for (const m of mismatches) debugInfo.push(`[Metadata] /Info ${m.key} "${m.info}" differs from XMP ${m.xmpKey} "${m.xmp}"`);
+
+      metadata = {
+        version: catalogVersion > header ? catalogVersion : header,
+        headerVersion: header,
+        catalogVersion: catalogVersion || null,
+        linearized: !!linearized,
+        tagged: dictValue(markInfo, 'Marked') === 'true',
+        structTree: !!dictValue(catalog, 'StructTreeRoot'),
+        updates,
+        infoKey: infoKey || null, info,
+        xmpKey: xmpKey || null, xmp,
+        mismatches
+      };
+      return metadata;
+    }
+
+    /**
+     * Embedded files (§7.11.4) from the Catalog's /Names /EmbeddedFiles
+     * tree and from /FileAttachment annotations, as { name, filename,
+     * description, relationship, mime, size, created, modified, streamKey,
+     * source, page }. size comes from /Params and is null when the file
+     * does not say; streamKey is for decodeStream.
+     */
+    let attachments;
+    async function getAttachments() {
+      if (attachments) return attachments;
+      const list = [];
+      const seen = new Set();
+      const add = async (spec, source, page, name) => {
+        if (/R$/.test(spec)) {
+          if (seen.has(spec)) return;
+          seen.add(spec);
+        }
+        const dict = await resolveDict(spec);
+        if (!dict.startsWith('<<')) return;
+        const ef = await resolveDict(dictValue(dict, 'EF'));
+        const streamRef = dictValue(ef, 'UF') || dictValue(ef, 'F');
+        const streamKey = /^\d+\s+\d+\s+R$/.test(streamRef) ? streamRef.split(/\s+/).slice(0, 2).join(' ') : null;
+        const stream = streamKey ? await loadObject(...streamKey.split(' ').map(Number)) : null;
+        const params = await resolveDict(dictValue(stream ? stream.dict : '', 'Params'));
+        const size = dictValue(params, 'Size');
+        const desc = dictValue(dict, 'Desc');
+        list.push({
+          name, source, page,
+          filename: await fileSpecName(dict),
+          description: desc ? decodeTextString(desc) : '',
+          relationship: decodeName(dictValue(dict, 'AFRelationship')) || null,
+          mime: decodeName(dictValue(stream ? stream.dict : '', 'Subtype')) || null,
+          size: /^\d+$/.test(size) ? +size : null,
+          created: parsePdfDate(decodeTextString(dictValue(params, 'CreationDate'))),
+          modified: parsePdfDate(decodeTextString(dictValue(params, 'ModDate'))),
+          streamKey
+        });
+      };
+
+      const root = objects.get(rootKey);
+      const names = await resolveDict(root ? dictValue(root.dict, 'Names') : '');
+      const tree = dictValue(names, 'EmbeddedFiles');
+      if (tree) {
+        for (const [key, spec] of await readNameTree(tree)) {
+          await add(spec, 'EmbeddedFiles', null, decodeTextString(Uint8Array.from(key, c => c.charCodeAt(0))));
+        }
+      }
+      if (!pagesComplete) await loadAllPages();
+      for (const [index, page] of pages.entries()) {
+        const annots = await resolveArray(dictValue(page.dict, 'Annots'));
+        for (const value of arrayItems(annots)) {
+          const dict = await resolveDict(value);
+          if (/\/Subtype\s*\/FileAttachment\b/.test(dict)) await add(dictValue(dict, 'FS'), 'FileAttachment', index, null);
+        }
+      }
+      debugInfo.push(`[Attachments] ${list.length} embedded file(s)`);
+      attachments = list;
+      return attachments;
+    }
+
+    // Terminal fields of the AcroForm (§12.7.3) as { name, key, dict,
+    // attrs, widgets }: name is fully qualified from the /T chain, attrs
+    // holds the inheritable entries as resolved down /Kids, and widgets
+    // the { key, dict } annotations that show the field.
+    const FIELD_INHERITABLE = ['FT', 'Ff', 'V', 'DV', 'DA', 'Q'];
+    let formFieldRecords;
+    async function collectFields() {
+      if (formFieldRecords) return formFieldRecords;
+      const root = objects.get(rootKey);
+      const acroForm = await resolveDict(root ? dictValue(root.dict, 'AcroForm') : '');
+      const list = [];
+      const seen = new Set();
+      const walk = async (refs, parentName, inherited) => {
+        for (const ref of refs) {
+          if (!/^\d+\s+\d+\s+R$/.test(ref) || seen.has(ref) || seen.size > 20000) continue;
+          seen.add(ref);
+          const dict = await resolveDict(ref);
+          const t = dictValue(dict, 'T');
+          const partial = t ? (await textOrName(t)) || '' : '';
+          const name = partial ? (parentName ? `${parentName}.${partial}` : partial) : parentName;
+          const attrs = { ...inherited };
+          for (const k of FIELD_INHERITABLE) {
+            const v = dictValue(dict, k);
+            if (v) attrs[k] = v;
+          }
+          const kids = arrayItems(await resolveArray(dictValue(dict, 'Kids')));
+          const kidDicts = [];
+          for (const kid of kids) kidDicts.push(await resolveDict(kid));
+          if (kidDicts.some(d => dictValue(d, 'T'))) {
+            await walk(kids, name, attrs);
+            continue;
+          }
+          const widgets = kids.map((kid, i) => ({ key: kid.replace(/\s+R$/, ''), dict: kidDicts[i] }));
+          if (dictValue(dict, 'Rect')) widgets.unshift({ key: ref.replace(/\s+R$/, ''), dict });
+          list.push({ name, key: ref.replace(/\s+R$/, ''), dict, attrs, widgets });
+        }
+      };
+      await walk(arrayItems(await resolveArray(dictValue(acroForm, 'Fields'))), '', {});
+      formFieldRecords = list;
+      return list;
+    }
+
+    // A text string or name value (or a reference to one) as text; null
+    // for anything else, such as a rich text stream.
+    async function textOrName(value) {
+      let v = value || '';
+      const ref = v.match(/^(\d+)\s+(\d+)\s+R$/);
+      if (ref) {
+        const obj = await loadObject(+ref[1], +ref[2]);
+        v = obj ? obj.raw.trim() : '';
+      }
+      if (v.startsWith('/')) return decodeName(v);
+      if (/^[(<]/.test(v) && !v.startsWith('<<')) return decodeTextString(v);
+      return null;
+    }
+
+    /**
+     * The AcroForm's fields for display and export: { name, key, type,
+     * value, defaultValue, options, readOnly, required, multiline,
+     * password, multiSelect, maxLen, fontSize, tooltip, widgets }.
+     * type is text, checkbox, radio, pushbutton, combo, list or signature;
+     * values are strings (button states by name, "Off" when off), arrays
+     * for multiple selections, or null. Each widget is { key, pageIndex,
+     * rect, onState, state, hidden, caption }.
+     */
+    let formFields;
+    async function getFormFields() {
+      if (formFields) return formFields;
+      const records = await collectFields();
+      // Which page each widget is on: its /P, else the page listing it.
+      const annotPages = new Map();
+      if (records.length) {
+        if (!pagesComplete) await loadAllPages();
+        for (const [index, page] of pages.entries()) {
+          for (const value of arrayItems(await resolveArray(dictValue(page.dict, 'Annots')))) {
+            if (/R$/.test(value)) annotPages.set(value.replace(/\s+R$/, ''), index);
+          }
+        }
+      }
+      const pageIndexOf = ref => pages.findIndex(p => `${p.num} ${p.gen} R` === ref.replace(/\s+/g, ' '));
+      const list = [];
+      for (const f of records) {
+        const ft = decodeName(f.attrs.FT);
+        const ff = +f.attrs.Ff || 0;
+        const type = ft === 'Btn' ? (ff & 1 << 16 ? 'pushbutton' : ff & 1 << 15 ? 'radio' : 'checkbox')
+          : ft === 'Tx' ? 'text' : ft === 'Ch' ? (ff & 1 << 17 ? 'combo' : 'list') : ft === 'Sig' ? 'signature' : ft || 'unknown';
+        const readValue = async v => v.startsWith('[')
+          ? Promise.all(arrayItems(v).map(textOrName)) : textOrName(v);
+        const options = [];
+        for (const opt of arrayItems(await resolveArray(dictValue(f.dict, 'Opt')))) {
+          const pair = opt.startsWith('[') ? arrayItems(opt) : [opt, opt];
+          options.push({ value: await textOrName(pair[0]), label: await textOrName(pair[1] || pair[0]) });
+        }
+        const widgets = [];
+        for (const w of f.widgets) {
+          const stateNames = (await readAppearance(w.dict)).states;
+          const p = dictValue(w.dict, 'P');
+          const mk = await resolveDict(dictValue(w.dict, 'MK'));
+          widgets.push({
+            key: w.key,
+            pageIndex: annotPages.has(w.key) ? annotPages.get(w.key) : p ? pageIndexOf(p) : -1,
+            rect: parseBox(dictValue(w.dict, 'Rect')),
+            onState: stateNames.find(n => n !== 'Off') || (type === 'checkbox' || type === 'radio' ? 'Yes' : null),
+            state: decodeName(dictValue(w.dict, 'AS')) || null,
+            hidden: !!((+dictValue(w.dict, 'F') || 0) & 2),
+            caption: dictValue(mk, 'CA') ? decodeTextString(dictValue(mk, 'CA')) : ''
+          });
+        }
+        let value = f.attrs.V ? await readValue(f.attrs.V) : null;
+        if ((type === 'checkbox' || type === 'radio') && value == null) {
+          value = (widgets.find(w => w.state && w.state !== 'Off') || {}).state || 'Off';
+        }
+        const tu = dictValue(f.dict, 'TU');
+        list.push({
+          name: f.name, key: f.key, type, value,
+          defaultValue: f.attrs.DV ? await readValue(f.attrs.DV) : null,
+          options,
+          readOnly: !!(ff & 1), required: !!(ff & 2),
+          multiline: type === 'text' && !!(ff & 1 << 12), password: type === 'text' && !!(ff & 1 << 13),
+          multiSelect: type === 'list' && !!(ff & 1 << 21),
+          maxLen: +dictValue(f.dict, 'MaxLen') || null,
+          fontSize: +((f.attrs.DA ? decodeTextString(f.attrs.DA) : '').match(/([\d.]+)\s+Tf/) || [])[1] || 0,
+          tooltip: tu ? decodeTextString(tu) : '',
+          widgets
+        });
+      }
+      debugInfo.push(`[Forms] ${list.length} field(s)`);
+      formFields = list;
+      return formFields;
+    }
+
+    /**
+     * Signature fields of the AcroForm (§12.8) with their signature
+     * dictionaries: { field, key, signed, subFilter, byteRange, signedAt,
+     * reason, name, location, byteRangeOk, cms, cmsError, digest,
+     * signedLength, appendedBytes, laterUpdates }. /Contents is read from
+     * the gap the /ByteRange leaves, which also checks that the gap holds
+     * exactly that string. digest compares the covered bytes with the
+     * signed message digest (PDFSignatures.checkByteRange).
+     */
+    let signatures;
+    async function getSignatures() {
+      if (signatures) return signatures;
+      const fields = (await collectFields())
+        .filter(f => decodeName(f.attrs.FT) === 'Sig')
+        .map(f => ({ field: f.name, key: f.key, value: f.attrs.V || '' }));
+
+      if (fields.length) await ensureBytes(0, fileBytes.length);
+      const list = [];
+      for (const { field, key, value } of fields) {
+        const sig = await resolveDict(value);
+        const entry = { field, key, signed: !!sig, sigKey: /R$/.test(value) ? value.replace(/\s+R$/, '') : null };
+        list.push(entry);
+        if (!sig) continue;
+        const text = k => decodeTextString(stringValue(sig, k));
+        const byteRange = (dictValue(sig, 'ByteRange').match(/-?\d+/g) || []).map(Number);
+        Object.assign(entry, {
+          filter: decodeName(dictValue(sig, 'Filter')),
+          subFilter: decodeName(dictValue(sig, 'SubFilter')),
+          byteRange,
+          signedAt: parsePdfDate(text('M')),
+          reason: text('Reason'), name: text('Name'), location: text('Location'), contactInfo: text('ContactInfo'),
+          byteRangeOk: false, cms: null, cmsError: '', digest: null,
+          signedLength: 0, appendedBytes: 0, laterUpdates: 0
+        });
+        if (byteRange.length !== 4 || byteRange.some(n => n < 0)) {
+          entry.cmsError = `Unusable /ByteRange [${byteRange.join(' ')}]`;
+          continue;
+        }
+        const [, firstLength, secondStart, secondLength] = byteRange;
+        entry.signedLength = secondStart + secondLength;
+        entry.appendedBytes = Math.max(0, fileBytes.length - entry.signedLength);
+        entry.laterUpdates = xrefRevisions.filter(r => r.offset >= entry.signedLength).length;
+        const gap = textAt(firstLength, secondStart);
+        const gapString = /^<[0-9A-Fa-f\s]*>$/.test(gap) ? PDFSecurity.parseStringBytes(gap) : null;
+        entry.byteRangeOk = byteRange[0] === 0 && !!gapString && entry.signedLength <= fileBytes.length;
+        const contents = gapString ? gapString.bytes : (PDFSecurity.parseStringBytes(dictValue(sig, 'Contents')) || {}).bytes;
+        try {
+          if (!contents || !contents.length) throw new Error('No /Contents');
+          if (/x509\.rsa_sha1/.test(entry.subFilter)) throw new Error(`/SubFilter /${entry.subFilter} holds no CMS`);
+          entry.cms = PDFSignatures.parseCms(contents);
+          entry.digest = await PDFSignatures.checkByteRange(fileBytes, byteRange, entry.cms, entry.subFilter);
+        } catch (err) {
+          entry.cmsError = err.message;
+        }
+        debugInfo.push(`[Signatures] ${field || key}: ${entry.subFilter || 'no /SubFilter'}, ${entry.digest ? `digest ${entry.digest.matches ? 'matches' : 'does not match'}` : entry.cmsError}`);
+      }
+      signatures = list;
+      return signatures;
+    }
+
+    /**
+     * Optional content (§8.11) under the default configuration /D, or null
+     * without /OCProperties: groups as { key, name, on, locked, view },
+     * the /Order tree as nodes { key, name, children } or
+     * { label, children }, and the /RBGroups radio groups as key lists.
+     * Groups whose /Intent leaves out View always show (view false).
+     */
+    let optionalContent;
+    async function getOptionalContent() {
+      if (optionalContent !== undefined) return optionalContent;
+      const root = objects.get(rootKey);
+      const props = await resolveDict(root ? dictValue(root.dict, 'OCProperties') : '');
+      if (!props) return (optionalContent = null);
+      const config = await resolveDict(dictValue(props, 'D'));
+      const keyOf = ref => ref.replace(/\s+R$/, '').replace(/\s+/, ' ');
+      const refs = async key => arrayItems(await resolveArray(dictValue(config, key))).filter(v => /R$/.test(v)).map(keyOf);
+      const onList = new Set(await refs('ON'));
+      const offList = new Set(await refs('OFF'));
+      const locked = new Set(await refs('Locked'));
+      const baseOff = decodeName(dictValue(config, 'BaseState')) === 'OFF';
+      const intents = value => value.startsWith('[') ? arrayItems(value).map(decodeName) : [decodeName(value) || 'View'];
+      const configIntents = intents(dictValue(config, 'Intent'));
+      const groups = [];
+      const byKey = new Map();
+      for (const ref of arrayItems(await resolveArray(dictValue(props, 'OCGs')))) {
+        if (!/R$/.test(ref) || byKey.has(keyOf(ref))) continue;
+        const dict = await resolveDict(ref);
+        const key = keyOf(ref);
+        const groupIntents = intents(dictValue(dict, 'Intent'));
+        const view = configIntents.includes('All') || groupIntents.includes('All') || groupIntents.some(i => configIntents.includes(i));
+        const group = {
+          key, name: (await textOrName(dictValue(dict, 'Name'))) || key,
+          on: !view || (baseOff ? onList.has(key) : !offList.has(key)),
+          locked: locked.has(key), view
+        };
+        groups.push(group);
+        byKey.set(key, group);
+      }
+      const listed = new Set();
+      const readOrder = async value => {
+        const nodes = [];
+        for (const item of arrayItems(await resolveArray(value))) {
+          if (/R$/.test(item) && byKey.has(keyOf(item)) && !listed.has(keyOf(item))) {
+            listed.add(keyOf(item));
+            nodes.push({ key: keyOf(item), name: byKey.get(keyOf(item)).name, children: [] });
+          } else if (item.startsWith('[') && listed.size < 20000) {
+            const first = arrayItems(item)[0] || '';
+            const children = await readOrder(item);
+            const prev = nodes[nodes.length - 1];
+            // ["label" ...] is a labelled group; a bare array nests under the group before it.
+            if (/^[(<]/.test(first)) nodes.push({ label: (await textOrName(first)) || '', children });
+            else if (prev && prev.key) prev.children.push(...children);
+            else nodes.push(...children);
+          }
+        }
+        return nodes;
+      };
+      const order = dictValue(config, 'Order') ? await readOrder(dictValue(config, 'Order')) : [];
+      if (!dictValue(config, 'Order')) for (const g of groups) order.push({ key: g.key, name: g.name, children: [] });
+      const rbGroups = [];
+      for (const rb of arrayItems(await resolveArray(dictValue(config, 'RBGroups')))) {
+        rbGroups.push(arrayItems(/R$/.test(rb) ? await resolveArray(rb) : rb).filter(v => /R$/.test(v)).map(keyOf));
+      }
+      debugInfo.push(`[OC] ${groups.length} optional content group(s), ${groups.filter(g => !g.on).length} off by default`);
+      optionalContent = { name: (await textOrName(dictValue(config, 'Name'))) || '', groups, order, rbGroups };
+      return optionalContent;
+    }
+
+    /**
+     * What an /OC entry ("num gen" key) refers to: { type: 'OCG' }, or for
+     * a membership dictionary (§8.11.2.2) { type: 'OCMD', ocgs, policy, ve }
+     * with ve the /VE expression as nested arrays, e.g.
+     * ['And', '5 0', ['Not', '6 0']], or null.
+     */
+    async function getOptionalContentMembership(key) {
+      const [num, gen] = key.split(' ').map(Number);
+      const obj = await loadObject(num, gen);
+      if (!obj || !/\/Type\s*\/OCMD\b/.test(obj.dict)) return { type: 'OCG' };
+      const keyOf = ref => ref.replace(/\s+R$/, '').replace(/\s+/, ' ');
+      const readExpression = async (value, depth) => {
+        const items = arrayItems(/R$/.test(value) ? await resolveArray(value) : value);
+        const operands = [];
+        for (const item of items.slice(1)) {
+          if (item.startsWith('[') && depth < 50) operands.push(await readExpression(item, depth + 1));
+          else if (/R$/.test(item)) operands.push(keyOf(item));
+        }
+        return [decodeName(items[0]), ...operands];
+      };
+      const ocgs = dictValue(obj.dict, 'OCGs');
+      const ve = dictValue(obj.dict, 'VE');
+      return {
+        type: 'OCMD',
+        ocgs: (/^\d+\s+\d+\s+R$/.test(ocgs) && !(await resolveArray(ocgs)).startsWith('[') ? [ocgs] : arrayItems(await resolveArray(ocgs)))
+          .filter(v => /R$/.test(v)).map(keyOf),
+        policy: decodeName(dictValue(obj.dict, 'P')) || 'AnyOn',
+        ve: ve ? await readExpression(ve, 0) : null
+      };
+    }
+
+    /**
+     * The document outline (§12.3.3) as a tree of { title, count, open,
+     * color, bold, italic, target, children }, or null without /Outlines.
+     * target comes from readLinkTarget; open follows the sign of /Count.
+     */
+    let outline;
+    async function getOutline() {
+      if (outline !== undefined) return outline;
+      const root = objects.get(rootKey);
+      const outlines = await resolveDict(root ? dictValue(root.dict, 'Outlines') : '');
+      if (!outlines) return (outline = null);
+      const seen = new Set();
+      const readItems = async first => {
+        const items = [];
+        for (let ref = first; /^\d+\s+\d+\s+R$/.test(ref) && !seen.has(ref) && seen.size < 20000;) {
+          seen.add(ref);
+          const [num, gen] = ref.split(/\s+/);
+          const obj = await loadObject(+num, +gen);
+          if (!obj) break;
+          const d = obj.dict;
+          const count = +dictValue(d, 'Count') || 0;
+          const color = (dictValue(d, 'C').match(/-?[\d.]+/g) || []).map(Number);
+          const flags = +dictValue(d, 'F') || 0;
+          items.push({
+            title: decodeTextString(stringValue(d, 'Title')),
+            count, open: count > 0,
+            color: color.length === 3 ? color : null,
+            italic: !!(flags & 1), bold: !!(flags & 2),
+            target: await readLinkTarget(d),
+            children: await readItems(dictValue(d, 'First'))
+          });
+          ref = dictValue(d, 'Next');
+        }
+        return items;
+      };
+      outline = await readItems(dictValue(outlines, 'First'));
+      debugInfo.push(`[Outline] ${seen.size} item(s), ${outline.length} at the top level`);
+      return outline;
+    }
+
+    // Where a page's boxes sit and how it is shown: the CropBox (clipped to
+    // the MediaBox) after /Rotate and /UserUnit is a width x height display,
+    // and `matrix` takes user space there. Trim, bleed and art boxes are
+    // null unless the page sets them.
+    async function getPageGeometry(page) {
+      await resolveInherited(page);
+      const value = async key => {
+        const v = dictValue(page.dict, key) || page.inherited[key] || '';
+        const ref = v.match(/^(\d+)\s+(\d+)\s+R$/);
+        if (!ref) return v;
+        const obj = await loadObject(+ref[1], +ref[2]);
+        return obj ? obj.raw.trim() : '';
+      };
+      const mediaBox = parseBox(await value('MediaBox')) || [0, 0, 612, 792];
+      const crop = parseBox(await value('CropBox'));
+      const cropBox = crop ? [
+        Math.max(crop[0], mediaBox[0]), Math.max(crop[1], mediaBox[1]),
+        Math.min(crop[2], mediaBox[2]), Math.min(crop[3], mediaBox[3])
+      ] : mediaBox;
+      if (cropBox[2] <= cropBox[0] || cropBox[3] <= cropBox[1]) cropBox.splice(0, 4, ...mediaBox);
+      const rotate = ((Math.round((+(await value('Rotate')) || 0) / 90) * 90) % 360 + 360) % 360;
+      const userUnit = +(await value('UserUnit')) || 1;
+      const w = (cropBox[2] - cropBox[0]) * userUnit, h = (cropBox[3] - cropBox[1]) * userUnit;
+      return {
+        mediaBox, cropBox,
+        bleedBox: parseBox(await value('BleedBox')),
+        trimBox: parseBox(await value('TrimBox')),
+        artBox: parseBox(await value('ArtBox')),
+        rotate, userUnit,
+        width: rotate % 180 ? h : w,
+        height: rotate % 180 ? w : h,
+        matrix: pageMatrix(cropBox, rotate, userUnit),
+        inherited: page.inherited
+      };
+    }
+
+    async function collectPagesFromRoot(key, visited = new Set(), list = pages, inherited = {}) {
+      if (visited.has(key)) return;
+      visited.add(key);
+      throwIfAborted();
+      const [num, gen] = key.split(' ').map(Number);
+      await loadObject(num, gen);
+      const obj = objects.get(key);
+      if (!obj) {
+        console.warn(`Object ${key} not found during traversal`);
+        debugInfo.push(`[Traversal] Object ${key} not found during page tree traversal`);
+        return;
+      }
+      const typeMatch = (obj.dict || '').match(/\/Type\s*\/(\w+)/);
+      const type = typeMatch ? typeMatch[1] : null;
+
+      if (type === 'Catalog') {
+        const pagesRefMatch = (obj.dict || '').match(/\/Pages\s+(\d+)\s+(\d+)\s+R/);
+        if (pagesRefMatch) {
+          const pagesKey = `${pagesRefMatch[1]} ${pagesRefMatch[2]}`;
+          debugInfo.push(`[Traversal] /Catalog ${key} -> /Pages ${pagesKey}`);
+          await loadObject(+pagesRefMatch[1], +pagesRefMatch[2]);
+          await collectPagesFromRoot(pagesKey, visited, list);
+        } else {
+          debugInfo.push(`[Traversal] /Catalog ${key} has no /Pages reference`);
+        }
+        return;
+      }
+
+      if (type === 'Page') {
+        list.push(obj);
+        setInherited(obj, inherited);
+        await cachePageFonts(obj);
+      } else if (type === 'Pages') {
+        const passed = inheritAttributes(obj.dict, inherited);
+        const kidsMatch = (obj.dict || '').match(/\/Kids\s*\[([\s\S]*?)\]/);
+        if (kidsMatch) {
+          const kids = kidsMatch[1].match(/(\d+)\s+(\d+)\s+R/g) || [];
+          for (const kidRef of kids) {
+            const kidMatch = kidRef.match(/(\d+)\s+(\d+)\s+R/);
+            if (kidMatch) {
+              const kidKey = `${kidMatch[1]} ${kidMatch[2]}`;
+              const [kidNum, kidGen] = kidKey.split(' ').map(Number);
+              await loadObject(kidNum, kidGen);
+              await collectPagesFromRoot(kidKey, visited, list, passed);
+            }
+          }
+        } else {
+          debugInfo.push(`[Traversal] /Pages ${key} has no /Kids array`);
+        }
+      } else {
+        debugInfo.push(`[Traversal] Object ${key} Type=${type || 'Unknown'} ignored in page-tree traversal`);
+      }
+    }
+
+    // Last resort when the page tree is unusable: load every object the xref
+    // knows and keep the ones typed /Page.
+    async function collectPages(list = pages) {
+      for (const [objNum, entry] of xrefEntries) {
+        throwIfAborted();
+        if (entry.type !== 'free') await loadObject(objNum, entry.gen || 0);
+      }
+      for (const o of objects.values()) {
+        if (/\/Type\s*\/Page\b/.test(o.dict || '')) {
+          list.push(o);
+          await cachePageFonts(o);
+        }
+      }
+    }
+
+    async function getPageContent(obj) {
+      const contentsMatch = (obj.dict || '').match( /\/Contents\s*(?:(\d+)\s+(\d+)\s+R|\[([\s\S]*?)\])/ );
+      let content = '';
+      if (contentsMatch) {
+        if (contentsMatch[1] && contentsMatch[2]) {
+          const contentKey = `${contentsMatch[1]} ${contentsMatch[2]}`;
+          await loadObject(+contentsMatch[1], +contentsMatch[2]);
+          const contentObj = objects.get(contentKey);
+          if (contentObj && !contentObj.processed) {
+            await extractAndDecodeStream(contentObj);
+            contentObj.processed = true;
+          }
+          if (contentObj && contentObj.decoded) {
+            content = contentObj.decoded.trim();
+          }
+        } else if (contentsMatch[3]) {
+          const refs = contentsMatch[3].match(/(\d+)\s+(\d+)\s+R/g) || [];
+          for (const ref of refs) {
+            const refMatch = ref.match(/(\d+)\s+(\d+)\s+R/);
+            if (refMatch) {
+              const contentKey = `${refMatch[1]} ${refMatch[2]}`;
+              await loadObject(+refMatch[1], +refMatch[2]);
+              const contentObj = objects.get(contentKey);
+              if (contentObj && !contentObj.processed) {
+                await extractAndDecodeStream(contentObj);
+                contentObj.processed = true;
+              }
+              if (contentObj && contentObj.decoded) {
+                content += contentObj.decoded.trim() + '\n';
+              }
+            }
+          }
+        }
+      }
+      return content;
+    }
+
+    // === Linearization (PDF 1.7 Annex F) ===
+    // A linearized file opens with a dictionary giving the first page's
+    // object (/O) and where its objects end (/E), the page count and the
+    // hint stream (/H) that maps every other page to its byte range.
+    async function readLinearization() {
+      await ensureBytes(0, 1024);
+      const m = textAt(0, 1024).match(/(\d+)\s+(\d+)\s+obj\s*<<([\s\S]*?)>>/);
+      if (!m || !/\/Linearized\b/.test(m[3])) return null;
+      const num = name => { const v = m[3].match(new RegExp(`/${name}\\s+(\\d+)`)); return v ? +v[1] : -1; };
+      const hint = (m[3].match(/\/H\s*\[\s*(\d+)\s+(\d+)/) || []).slice(1).map(Number);
+      const lin = {
+        length: num('L'), firstPage: num('O'), firstPageEnd: num('E'), numPages: num('N'), mainXref: num('T'),
+        hintOffset: hint.length ? hint[0] : -1, hintLength: hint.length ? hint[1] : 0, pageHints: null
+      };
+      if (lin.length !== fileBytes.length) {
+        debugInfo.push(`[Linearization] /L ${lin.length} does not match the file size ${fileBytes.length} (updated after linearizing); ignored`);
+        return null;
+      }
+      debugInfo.push(`[Linearization] ${lin.numPages} pages, first page object ${lin.firstPage} with its objects up to byte ${lin.firstPageEnd}, hint stream at ${lin.hintOffset}`);
+      return lin;
+    }
+
+    // Page offset hint table (Tables F.3, F.4): a header of least values and
+    // bit widths, then per item a bit-packed delta for every page, each item
+    // starting on a byte. Only the object counts and page lengths are used;
+    // offsets in it leave out the hint stream, so those past it move by /H.
+    async function readPageHints(lin) {
+      if (lin.hintOffset < 0 || lin.numPages < 1) return null;
+      const hintObj = await loadObjectAt(lin.hintOffset);
+      if (!hintObj) {
+        debugInfo.push(`[Linearization] No hint stream object at offset ${lin.hintOffset}`);
+        return null;
+      }
+      if (!hintObj.processed) {
+        await extractAndDecodeStream(hintObj);
+        hintObj.processed = true;
+      }
+      const bytes = hintObj.decodedBytes;
+      if (!bytes || bytes.length < 36) {
+        debugInfo.push(`[Linearization] Hint stream ${hintObj.num} ${hintObj.gen} is too short for a page offset table`);
+        return null;
+      }
+      let bit = 0;
+      const read = n => {
+        let v = 0;
+        for (let i = 0; i < n; i++, bit++) v = v * 2 + ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+        return v;
+      };
+      const leastObjects = read(32), firstPageOffset = read(32), objectBits = read(16);
+      const leastLength = read(32), lengthBits = read(16);
+      bit += 160; // content stream and shared object fields
+      const hints = [];
+      for (let i = 0; i < lin.numPages; i++) hints.push({ objects: leastObjects + read(objectBits), offset: 0, length: 0 });
+      bit = (bit + 7) & ~7;
+      let offset = firstPageOffset;
+      for (const h of hints) {
+        h.length = leastLength + read(lengthBits);
+        h.offset = offset >= lin.hintOffset ? offset + lin.hintLength : offset;
+        offset += h.length;
+      }
+      if (bit > bytes.length * 8) {
+        debugInfo.push(`[Linearization] Page offset hint table is truncated`);
+        return null;
+      }
+      debugInfo.push(`[Linearization] Page hints: ${hints.map((h, i) => `p${i + 1}@${h.offset}+${h.length}`).join(' ').slice(0, 400)}`);
+      return hints;
+    }
+
+    // Remote linearized file: page 1 is known from /O, so the page tree can
+    // wait until loadAllPages().
+    async function loadFirstPage() {
+      const entry = xrefEntries.get(linearization.firstPage);
+      const first = await loadObject(linearization.firstPage, entry ? entry.gen || 0 : 0);
+      if (!first || !/\/Type\s*\/Page\b/.test(first.dict || '')) {
+        debugInfo.push(`[Linearization] /O ${linearization.firstPage} is not a page object; walking the page tree`);
+        return;
+      }
+      linearization.pageHints = await readPageHints(linearization);
+      pages.push(first);
+      await cachePageFonts(first);
+      pagesComplete = false;
+      mark('Loaded first page via linearization');
+      progress('Step 3', `Linearized file: page 1 of ${linearization.numPages} ready after ${source.bytesFetched} of ${source.length} bytes in ${source.requests} request(s)`);
+    }
+
+    async function load() {
+      mark('Start PDF Parse');
+      debugInfo.push(`=== PDF Parse Debug Info ===`, `File size: ${fileBytes.length} bytes`);
+      throwIfAborted();
+      linearization = await readLinearization();
+      // Everything page 1 needs sits before /E: fetch it in one request.
+      if (linearization && source) await ensureBytes(0, linearization.firstPageEnd);
+      await discoverRootAndXrefs();
+      mark('Discovered root + xrefs');
+      throwIfAborted();
+      progress('Step 1', `Read ${xrefEntries.size} xref entries from ${xrefRevisions.length} section(s)${xrefRepaired ? ' (reconstructed)' : ''}`);
+      if (securityLocked) {
+        const message = 'PDF is encrypted and could not be opened (unsupported handler or no valid password).';
+        debugInfo.push(`[Step 2] Encrypted PDF could not be unlocked`);
+        emit('error', { message, fatal: true });
+        throw new Error(message);
+      }
+      progress('Step 2', `Parsed XRef, root key: ${rootKey || 'none'}`);
+      if (linearization && source && !source.complete && !xrefRepaired) await loadFirstPage();
+      if (!pagesComplete) {
+        mark('Parse complete');
+        return doc;
+      }
+      if (rootKey && objects.has(rootKey)) {
+        await collectPagesFromRoot(rootKey);
+        mark('Collected pages via root traversal');
+        progress('Step 3', `Found ${pages.length} pages via tree traversal`);
+      } else if (rootKey) {
+        debugInfo.push(`[Step 3] WARNING: Root ${rootKey} identified but not found`);
+        emit('error', { message: `Root ${rootKey} identified but not found`, fatal: false, key: rootKey });
+      }
+      if (!pages.length) {
+        await collectPages();
+        mark('Collected pages via fallback scan');
+        progress('Step 4', `Found ${pages.length} pages via fallback scan`);
+      }
+      mark('Parse complete');
+      return doc;
+    }
+
+    // The full page list of a remote linearized file, from the page tree.
+    // pages keeps page 1 until the new list replaces it.
+    let allPagesLoading = null;
+    function loadAllPages() {
+      if (pagesComplete) return Promise.resolve(pages);
+      return allPagesLoading ||= (async () => {
+        const list = [];
+        if (rootKey && objects.has(rootKey)) await collectPagesFromRoot(rootKey, new Set(), list);
+        if (!list.length) await collectPages(list);
+        pages.splice(0, pages.length, ...list);
+        pagesComplete = true;
+        mark('Collected pages via root traversal');
+        progress('Step 3', `Found ${pages.length} pages via tree traversal`);
+        return pages;
+      })();
+    }
+
+    // Page object by 1-based number. Before loadAllPages() a later page of a
+    // remote linearized file comes from its hinted byte range, where the
+    // page object is the first object of the page's section.
+    async function getPage(n) {
+      if (pagesComplete || n === 1) return pages[n - 1] || null;
+      const hint = linearization.pageHints && linearization.pageHints[n - 1];
+      if (hint) {
+        await ensureBytes(hint.offset, hint.offset + hint.length);
+        const obj = await loadObjectAt(hint.offset);
+        if (obj && /\/Type\s*\/Page\b/.test(obj.dict || '')) {
+          await cachePageFonts(obj);
+          return obj;
+        }
+        debugInfo.push(`[Linearization] No page object at the hinted offset ${hint.offset} of page ${n}`);
+      }
+      await loadAllPages();
+      return pages[n - 1] || null;
+    }
+
+    // Everything a renderer may look up for a page: the page, its contents,
+    // resources (inherited ones too), fonts and their files, reached by
+    // following references.
+    // Image streams are only brought in; the image decoder reads the bytes.
+    const PAGE_SKIPPED_KEYS = /\/(?:Parent|P|Annots|Thumb)\s+(?:\d+\s+\d+\s+R|\[[^\]]*\])/g;
+    async function loadPageObjects(pageObj) {
+      const found = new Map();
+      const queue = [pageObj];
+      while (queue.length && found.size < 5000) {
+        const obj = queue.shift();
+        const key = `${obj.num} ${obj.gen}`;
+        if (found.has(key)) continue;
+        found.set(key, obj);
+        const hasStream = obj.raw.indexOf('stream') !== -1;
+        let text = (hasStream ? obj.dict : obj.raw).replace(PAGE_SKIPPED_KEYS, '');
+        if (obj === pageObj && obj.inherited) text += ' ' + Object.values(obj.inherited).join(' ');
+        const re = /(\d+)\s+(\d+)\s+R\b/g;
+        let m;
+        while ((m = re.exec(text))) {
+          const ref = `${m[1]} ${m[2]}`;
+          if (found.has(ref)) continue;
+          const child = await loadObject(+m[1], +m[2]);
+          if (!child) continue;
+          if (/\/Subtype\s*\/Image\b/.test(child.dict || '')) await ensureStreamBytes(child);
+          else await getObject(ref);
+          queue.push(child);
+        }
+      }
+      return Array.from(found.values());
+    }
+
+    // Object record by "num gen" key, read from its xref offset or object
+    // stream and with its stream data decoded on first access.
+    async function getObject(key) {
+      const [num, gen] = key.split(' ').map(Number);
+      const obj = await loadObject(num, gen);
+      if (obj && !obj.processed && obj.raw.indexOf('stream') !== -1) {
+        await extractAndDecodeStream(obj);
+        obj.processed = true;
+      }
+      return obj || null;
+    }
+
+    // Decoded stream bytes of an object, with what the decoder reported.
+    async function decodeStream(key) {
+      const obj = await getObject(key);
+      if (!obj) return null;
+      return { bytes: obj.decodedBytes || new Uint8Array(0), streamInfo: obj.streamInfo, streamError: obj.streamError };
+    }
+
+    const doc = {
+      objects, pages, fontCache, xrefEntries, xrefRevisions, debugInfo, perf, fileBytes,
+      get fileText() { return getFileText(); },
+      get numPages() { return pagesComplete ? pages.length : linearization.numPages; },
+      get pagesComplete() { return pagesComplete; },
+      get linearization() { return linearization; },
+      get rootKey() { return rootKey; },
+      get root() { return objects.get(rootKey) || null; },
+      get trailer() { return trailerDict; },
+      get xrefRepaired() { return xrefRepaired; },
+      get encrypted() { return !!security; },
+      load,
+      getObject,
+      decodeStream,
+      getPage,
+      loadAllPages,
+      /** Page content by 1-based page number (or a page object record). */
+      async getPageContent(page) {
+        const obj = typeof page === 'number' ? await getPage(page) : page;
+        return obj ? getPageContent(obj) : '';
+      },
+      /** Records of the page and what it references, loaded and decoded. */
+      loadPageObjects,
+      getPageGeometry,
+      getPageLabels,
+      getOutline,
+      resolveDestination,
+      getPageLinks,
+      getPageAnnotations,
+      getComments,
+      getOptionalContent,
+      getOptionalContentMembership,
+      getMetadata,
+      getAttachments,
+      getSignatures,
+      getFormFields,
+      processObjStmIfNeeded: loadObject, // font.js name for "make sure it is loaded"
+      extractAndDecodeStream,
+      /** Nothing to release in-page; worker-backed documents stop their worker. */
+      close() {},
+      on(type, fn) { (listeners[type] ||= []).push(fn); return doc; },
+      off(type, fn) {
+        const list = listeners[type] || [];
+        const i = list.indexOf(fn);
+        if (i !== -1) list.splice(i, 1);
+        return doc;
+      }
+    };
+    return doc;
+  }
+
+  PDFExplorer.createDocument = createDocument;
+
+  /** Parse bytes (Uint8Array or ArrayBuffer) and resolve with the document. */
+  PDFExplorer.open = async function (data, options = {}) {
+    const doc = createDocument(data, options);
+    await doc.load();
+    return doc;
+  };
+
+  /**
+   * Open a PDF on an HTTP server that honours Range requests, fetching only
+   * the parts the parser reaches. A linearized file resolves once page 1 is
+   * in (doc.pagesComplete is false until doc.loadAllPages()). Servers without
+   * Range support send the whole file and it opens as bytes.
+   */
+  PDFExplorer.openUrl = async function (url, options = {}) {
+    return PDFExplorer.open(await openRangeSource(url, options), options);
+  };
+
+  /**
+   * Like open(), but parsing and decoding run in worker.js. The document
+   * has the same shape; `objects` holds only the records fetched from the
+   * worker so far (getObject, and everything a page needs to render after
+   * loadPageObjects). The bytes are copied to the worker, fileBytes stays here.
+   * `data` may also be a URL, as for openUrl(); the worker then sends each
+   * fetched range back so fileBytes fills in as it goes.
+   * options.signal aborts by terminating the worker. Where no worker can be
+   * started (Node, file:// pages) this is open() or openUrl().
+   */
+  PDFExplorer.openInWorker = function (data, options = {}) {
+    const url = typeof data === 'string' ? data : null;
+    let fileBytes = url ? new Uint8Array(0) : data instanceof Uint8Array ? data : new Uint8Array(data);
+    const openInPage = () => url ? PDFExplorer.openUrl(url, options) : PDFExplorer.open(fileBytes, options);
+    let worker;
+    try {
+      worker = new Worker(options.workerUrl || new URL('worker.js', scriptUrl || global.location.href).href);
+    } catch (err) {
+      return openInPage();
+    }
+
+    const listeners = { progress: [], error: [] };
+    if (typeof options.onProgress === 'function') listeners.progress.push(options.onProgress);
+    if (typeof options.onError === 'function') listeners.error.push(options.onError);
+    const debugInfo = [];
+    const pending = new Map();
+    let nextId = 1;
+    let ready = false;
+    let closed = false;
+
+    function call(type, payload) {
+      if (closed) return Promise.reject(new Error('PDF worker is closed'));
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type, id, ...payload });
+      });
+    }
+    function close(reason) {
+      if (closed) return;
+      closed = true;
+      worker.terminate();
+      for (const { reject } of pending.values()) reject(reason || new Error('PDF worker is closed'));
+      pending.clear();
+    }
+
+    return new Promise((resolve, reject) => {
+      function onAbort() {
+        close(abortError());
+      }
+      if (options.signal) {
+        if (options.signal.aborted) { close(); return reject(abortError()); }
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      worker.onerror = e => {
+        e.preventDefault();
+        // The worker could not even load its scripts: parse in-page instead.
+        if (!ready) {
+          close();
+          if (options.signal) options.signal.removeEventListener('abort', onAbort);
+          openInPage().then(resolve, reject);
+          return;
+        }
+        close(new Error(e.message || 'PDF worker failed'));
+      };
+
+      worker.onmessage = async e => {
+        const msg = e.data;
+        if (msg.debug) debugInfo.push(...msg.debug);
+        if (msg.type === 'ready') {
+          ready = true;
+        } else if (msg.type === 'bytes') {
+          if (fileBytes.length !== msg.length) fileBytes = new Uint8Array(msg.length);
+          fileBytes.set(msg.bytes, msg.start);
+        } else if (msg.type === 'event') {
+          for (const fn of listeners[msg.event] || []) {
+            try { fn(msg.detail); } catch (err) { console.error(err); }
+          }
+        } else if (msg.type === 'password') {
+          const answer = typeof options.requestPassword === 'function' ? await options.requestPassword(msg.question) : null;
+          if (!closed) worker.postMessage({ type: 'password', id: msg.id, password: answer == null ? null : String(answer) });
+        } else if (msg.type === 'reply') {
+          const req = pending.get(msg.id);
+          if (!req) return;
+          pending.delete(msg.id);
+          if (msg.error) req.reject(Object.assign(new Error(msg.error.message), { name: msg.error.name }));
+          else req.resolve(msg.result);
+        }
+      };
+
+      const source = url ? { url: new URL(url, global.location.href).href } : { data: fileBytes };
+      call('open', { ...source, password: options.password }).then(summary => {
+        if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        resolve(createRemoteDocument(summary));
+      }, err => {
+        if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        close();
+        reject(err);
+      });
+    });
+
+    function createRemoteDocument(summary) {
+      const objects = new Map();
+      const remember = rec => {
+        objects.set(`${rec.num} ${rec.gen}`, rec);
+        return rec;
+      };
+      const pages = summary.pages.map(remember);
+      if (summary.root) remember(summary.root);
+      let pagesComplete = summary.pagesComplete;
+      // Font faces can only be installed on this side.
+      const installFonts = () => {
+        for (const f of summary.fontCache.values()) {
+          if (f.ttf) installEmbeddedFontCss(f.name.replace(/^[A-Z]{6}\+/, ''), f.ttf);
+        }
+      };
+      installFonts();
+      const doc = {
+        objects, pages, fontCache: summary.fontCache, xrefEntries: summary.xrefEntries, xrefRevisions: summary.xrefRevisions,
+        debugInfo, perf: summary.perf, fileBytes,
+        get numPages() { return pagesComplete ? pages.length : summary.numPages; },
+        get pagesComplete() { return pagesComplete; },
+        get linearization() { return summary.linearization; },
+        get rootKey() { return summary.rootKey; },
+        get root() { return objects.get(summary.rootKey) || null; },
+        get trailer() { return summary.trailer; },
+        get xrefRepaired() { return summary.xrefRepaired; },
+        get encrypted() { return summary.encrypted; },
+        async getObject(key) {
+          const known = objects.get(key);
+          if (known && (known.processed || known.raw.indexOf('stream') === -1)) return known;
+          const rec = await call('getObject', { key });
+          return rec ? remember(rec) : null;
+        },
+        async getPage(n) {
+          if (pagesComplete || n === 1) return pages[n - 1] || null;
+          const { page, fontCache } = await call('getPage', { page: n });
+          summary.fontCache = doc.fontCache = fontCache;
+          installFonts();
+          return page ? remember(page) : null;
+        },
+        async loadAllPages() {
+          if (pagesComplete) return pages;
+          const { pages: list, fontCache } = await call('loadAllPages', {});
+          pages.splice(0, pages.length, ...list.map(remember));
+          summary.fontCache = doc.fontCache = fontCache;
+          installFonts();
+          pagesComplete = true;
+          return pages;
+        },
+        async getPageContent(page) {
+          const ref = typeof page === 'number' ? page : `${page.num} ${page.gen}`;
+          return call('getPageContent', { page: ref });
+        },
+        async getPageGeometry(page) {
+          const geometry = await call('getPageGeometry', { page: `${page.num} ${page.gen}` });
+          if (geometry && !page.inherited) page.inherited = geometry.inherited;
+          return geometry;
+        },
+        getPageLabels() {
+          return call('getPageLabels', {});
+        },
+        getOutline() {
+          return call('getOutline', {});
+        },
+        getPageLinks(page) {
+          return call('getPageLinks', { page: `${page.num} ${page.gen}` });
+        },
+        getPageAnnotations(page) {
+          return call('getPageAnnotations', { page: `${page.num} ${page.gen}` });
+        },
+        getOptionalContent() {
+          return call('getOptionalContent', {});
+        },
+        getOptionalContentMembership(key) {
+          return call('getOptionalContentMembership', { key });
+        },
+        async getComments() {
+          const result = await call('getComments', {});
+          if (!pagesComplete) await doc.loadAllPages();
+          return result;
+        },
+        getMetadata() {
+          return call('getMetadata', {});
+        },
+        getAttachments() {
+          return call('getAttachments', {});
+        },
+        getSignatures() {
+          return call('getSignatures', {});
+        },
+        getFormFields() {
+          return call('getFormFields', {});
+        },
+        async resolveDestination(dest) {
+          const result = await call('resolveDestination', { dest });
+          if (result && !pagesComplete) await doc.loadAllPages();
+          return result;
+        },
+        async loadPageObjects(page) {
+          const records = await call('loadPageObjects', { page: `${page.num} ${page.gen}` });
+          return records.map(remember);
+        },
+        decodeStream(key) {
+          return call('decodeStream', { key });
+        },
+        close() { close(); },
+        on(type, fn) { (listeners[type] ||= []).push(fn); return doc; },
+        off(type, fn) {
+          const list = listeners[type] || [];
+          const i = list.indexOf(fn);
+          if (i !== -1) list.splice(i, 1);
+          return doc;
+        }
+      };
+      return doc;
+    }
+  };
+
+  PDFExplorer.openRangeSource = openRangeSource;
+  PDFExplorer.decodeTextString = decodeTextString;
+  PDFExplorer.parsePdfDate = parsePdfDate;
+  PDFExplorer.formToFdf = formToFdf;
+  PDFExplorer.optionalContentVisible = optionalContentVisible;
+  PDFExplorer.extractTopLevelDict = extractTopLevelDict;
+  PDFExplorer.parseToUnicodeCMap = parseToUnicodeCMap;
+
+  global.PDFExplorer = PDFExplorer;
+  if (typeof module !== 'undefined' && module.exports) module.exports = PDFExplorer;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,382 @@
+
+/*!
+ * filters.js — PDF stream filter pipeline
+ * Load after fflate; it exposes PDFFilters on window (or globalThis).
+ *
+ * Decoders: FlateDecode, LZWDecode (/EarlyChange), ASCIIHexDecode,
+ * ASCII85Decode, RunLengthDecode, plus PNG (10-15) and TIFF (2) predictors
+ * for Flate and LZW. Filters run in array order, each with its own
+ * /DecodeParms entry. Image codecs (DCT, JPX, CCITT, JBIG2) end the
+ * pipeline: their input is handed back undecoded for the image code.
+ * Damaged or truncated Flate data yields the prefix that inflated cleanly;
+ * the result's `recovered` list says when that happened.
+ *
+ * Usage:
+ *    const filters = PDFFilters.normalizeNames(['Fl', 'A85']);
+ *    const parms = PDFFilters.parseDecodeParms(dictStr, filters.length, key => objects.get(key)?.dict);
+ *    const { bytes, applied, pending, recovered } = PDFFilters.decode(streamBytes, filters, parms);
+ */
+(function (global) {
+  const PDFFilters = {};
+
+  // Abbreviations used in inline image dictionaries.
+  const ABBREVIATIONS = {
+    AHx: 'ASCIIHexDecode', A85: 'ASCII85Decode', LZW: 'LZWDecode', Fl: 'FlateDecode',
+    RL: 'RunLengthDecode', CCF: 'CCITTFaxDecode', DCT: 'DCTDecode'
+  };
+  const IMAGE_CODECS = new Set(['DCTDecode', 'JPXDecode', 'CCITTFaxDecode', 'JBIG2Decode']);
+
+  function normalizeNames(names) {
+    return names.map(n => ABBREVIATIONS[n] || n);
+  }
+
+  /** Exact byte -> U+0000..U+00FF string (TextDecoder('latin1') is really windows-1252). */
+  function bytesToLatin1(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return s;
+  }
+
+  function latin1ToBytes(s) {
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i) & 0xFF;
+    return out;
+  }
+
+  // ---- /DecodeParms ----
+  function balancedDict(s, start) {
+    let depth = 0;
+    for (let i = start; i < s.length - 1; i++) {
+      if (s[i] === '<' && s[i + 1] === '<') { depth++; i++; }
+      else if (s[i] === '>' && s[i + 1] === '>') {
+        depth--; i++;
+        if (depth === 0) return s.slice(start, i + 1);
+      }
+    }
+    return s.slice(start);
+  }
+
+  function readParms(dict) {
+    const num = (key, dflt) => {
+      const m = (dict || '').match(new RegExp('\\/' + key + '\\s+(-?\\d+)'));
+      return m ? parseInt(m[1], 10) : dflt;
+    };
+    return {
+      predictor: num('Predictor', 1),
+      colors: num('Colors', 1),
+      bitsPerComponent: num('BitsPerComponent', 8),
+      columns: num('Columns', 1),
+      earlyChange: num('EarlyChange', 1)
+    };
+  }
+
+  /**
+   * One parameter object per filter. resolveRef('N G') should return the
+   * dictionary text of an indirect /DecodeParms entry, if any.
+   */
+  function parseDecodeParms(dictStr, count, resolveRef) {
+    const out = Array.from({ length: count }, () => readParms(''));
+    const m = (dictStr || '').match(/\/(?:DecodeParms|DP)\s*/);
+    if (!m) return out;
+    const at = m.index + m[0].length;
+    const resolve = (num, gen) => readParms(resolveRef ? resolveRef(`${num} ${gen}`) || '' : '');
+    const rest = dictStr.slice(at);
+    if (rest.startsWith('<<')) {
+      out[0] = readParms(balancedDict(rest, 0));
+    } else if (rest.startsWith('[')) {
+      let i = 1, slot = 0;
+      while (i < rest.length && rest[i] !== ']' && slot < count) {
+        if (/\s/.test(rest[i])) { i++; continue; }
+        if (rest.startsWith('<<', i)) {
+          const d = balancedDict(rest, i);
+          out[slot++] = readParms(d);
+          i += d.length;
+          continue;
+        }
+        const ref = rest.slice(i).match(/^(\d+)\s+(\d+)\s+R\b/);
+        if (ref) { out[slot++] = resolve(ref[1], ref[2]); i += ref[0].length; continue; }
+        const word = rest.slice(i).match(/^\S+?(?=[\s\]<]|$)/);
+        slot++; // null or anything unexpected keeps the defaults
+        i += word ? word[0].length : 1;
+      }
+    } else {
+      const ref = rest.match(/^(\d+)\s+(\d+)\s+R\b/);
+      if (ref) out[0] = resolve(ref[1], ref[2]);
+    }
+    return out;
+  }
+
+  // ---- decoders ----
+  function asciiHexDecode(data) {
+    const out = new Uint8Array(Math.ceil(data.length / 2));
+    let n = 0, hi = -1;
+    for (let i = 0; i < data.length; i++) {
+      const c = data[i];
+      if (c === 0x3E) break; // '>'
+      let v;
+      if (c >= 0x30 && c <= 0x39) v = c - 0x30;
+      else if (c >= 0x41 && c <= 0x46) v = c - 0x37;
+      else if (c >= 0x61 && c <= 0x66) v = c - 0x57;
+      else continue;
+      if (hi < 0) hi = v;
+      else { out[n++] = (hi << 4) | v; hi = -1; }
+    }
+    if (hi >= 0) out[n++] = hi << 4;
+    return out.subarray(0, n);
+  }
+
+  function ascii85Decode(data) {
+    // Worst case is four bytes per character: each 'z' stands for four zeros.
+    const out = new Uint8Array(data.length * 4 + 4);
+    let n = 0, count = 0, value = 0;
+    let i = 0;
+    if (data[0] === 0x3C && data[1] === 0x7E) i = 2; // optional "<~"
+    for (; i < data.length; i++) {
+      const c = data[i];
+      if (c === 0x7E) break; // "~>"
+      if (c === 0x7A && count === 0) { n += 4; continue; } // 'z'; out is zero-filled
+      if (c < 0x21 || c > 0x75) continue;
+      value = value * 85 + (c - 0x21);
+      if (++count === 5) {
+        out[n++] = value >>> 24; out[n++] = (value >>> 16) & 0xFF; out[n++] = (value >>> 8) & 0xFF; out[n++] = value & 0xFF;
+        count = 0; value = 0;
+      }
+    }
+    if (count > 1) {
+      for (let k = count; k < 5; k++) value = value * 85 + 84;
+      const tail = [value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+      for (let k = 0; k < count - 1; k++) out[n++] = tail[k];
+    }
+    return out.subarray(0, n);
+  }
+
+  function runLengthDecode(data) {
+    const chunks = [];
+    let size = 0;
+    for (let i = 0; i < data.length;) {
+      const len = data[i++];
+      if (len === 128) break;
+      if (len < 128) {
+        const run = data.subarray(i, i + len + 1);
+        chunks.push(run); size += run.length; i += len + 1;
+      } else if (i < data.length) {
+        const run = new Uint8Array(257 - len).fill(data[i++]);
+        chunks.push(run); size += run.length;
+      }
+    }
+    const out = new Uint8Array(size);
+    let o = 0;
+    for (const c of chunks) { out.set(c, o); o += c.length; }
+    return out;
+  }
+
+  function lzwDecode(data, earlyChange) {
+    let out = new Uint8Array(Math.max(1024, data.length * 3));
+    let n = 0;
+    const push = (bytes) => {
+      if (n + bytes.length > out.length) {
+        const grown = new Uint8Array(Math.max(out.length * 2, n + bytes.length));
+        grown.set(out.subarray(0, n));
+        out = grown;
+      }
+      out.set(bytes, n);
+      n += bytes.length;
+    };
+    let table = [];
+    const resetTable = () => {
+      table = [];
+      for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+      table.push(null, null); // 256 clear, 257 end of data
+    };
+    resetTable();
+    let codeLen = 9, bitBuf = 0, bitCount = 0, prev = null;
+    for (let i = 0; i < data.length || bitCount >= codeLen;) {
+      while (bitCount < codeLen && i < data.length) { bitBuf = ((bitBuf << 8) | data[i++]) >>> 0; bitCount += 8; }
+      if (bitCount < codeLen) break;
+      const code = (bitBuf >>> (bitCount - codeLen)) & ((1 << codeLen) - 1);
+      bitCount -= codeLen;
+      bitBuf &= (1 << bitCount) - 1;
+      if (code === 256) { resetTable(); codeLen = 9; prev = null; continue; }
+      if (code === 257) break;
+      let entry;
+      if (code < table.length && table[code]) entry = table[code];
+      else if (code === table.length && prev) { entry = new Uint8Array(prev.length + 1); entry.set(prev); entry[prev.length] = prev[0]; }
+      else throw new Error(`invalid LZW code ${code}`);
+      push(entry);
+      if (prev) {
+        const added = new Uint8Array(prev.length + 1);
+        added.set(prev); added[prev.length] = entry[0];
+        table.push(added);
+      }
+      prev = entry;
+      const next = table.length + earlyChange;
+      codeLen = next >= 2048 ? 12 : next >= 1024 ? 11 : next >= 512 ? 10 : 9;
+    }
+    return out.slice(0, n);
+  }
+
+  function flateDecode(data) {
+    const fflate = global.fflate;
+    if (!fflate) throw new Error('fflate is not loaded');
+    return fflate.unzlibSync(data);
+  }
+
+  // Inflate in small pieces and keep every byte produced before the error.
+  // Returns null when nothing could be recovered.
+  function flateSalvage(data) {
+    const fflate = global.fflate;
+    const chunks = [];
+    let size = 0;
+    const collect = chunk => { chunks.push(chunk); size += chunk.length; };
+    const zlibHeader = data.length > 2 && (data[0] & 0x0F) === 8 && ((data[0] << 8) | data[1]) % 31 === 0;
+    let inflater;
+    try {
+      inflater = zlibHeader ? new fflate.Unzlib(collect) : new fflate.Inflate(collect);
+      const STEP = 512;
+      for (let i = 0; i < data.length; i += STEP) inflater.push(data.subarray(i, i + STEP), false);
+    } catch (err) {
+      // expected: the prefix collected so far is what we are after
+    }
+    // The final flush is what notices the truncation; try it separately so
+    // the output already emitted above survives its error.
+    try {
+      if (inflater) inflater.push(new Uint8Array(0), true);
+    } catch (err) {
+      // same as above
+    }
+    if (!size) return null;
+    const out = new Uint8Array(size);
+    let o = 0;
+    for (const c of chunks) { out.set(c, o); o += c.length; }
+    return out;
+  }
+
+  // ---- predictors ----
+  function tiffPredictor(data, p) {
+    const { colors, bitsPerComponent: bpc, columns } = p;
+    const rowBytes = Math.ceil(colors * bpc * columns / 8);
+    const out = new Uint8Array(data.length);
+    out.set(data);
+    for (let row = 0; row + rowBytes <= out.length; row += rowBytes) {
+      if (bpc === 8) {
+        for (let i = colors; i < rowBytes; i++) out[row + i] = (out[row + i] + out[row + i - colors]) & 0xFF;
+      } else if (bpc === 16) {
+        for (let i = colors * 2; i + 1 < rowBytes; i += 2) {
+          const v = ((out[row + i] << 8) | out[row + i + 1]) + ((out[row + i - colors * 2] << 8) | out[row + i - colors * 2 + 1]);
+          out[row + i] = (v >> 8) & 0xFF; out[row + i + 1] = v & 0xFF;
+        }
+      } else {
+        // 1, 2 or 4 bits: unpack, accumulate per component, repack.
+        const mask = (1 << bpc) - 1;
+        const prev = new Array(colors).fill(0);
+        let pos = 0;
+        for (let col = 0; col < columns; col++) {
+          for (let c = 0; c < colors; c++, pos += bpc) {
+            const byte = row + (pos >> 3), shift = 8 - bpc - (pos & 7);
+            const v = (((out[byte] >> shift) & mask) + prev[c]) & mask;
+            prev[c] = v;
+            out[byte] = (out[byte] & ~(mask << shift)) | (v << shift);
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  function pngPredictor(data, p) {
+    const { colors, bitsPerComponent: bpc, columns } = p;
+    const bpp = Math.max(1, Math.ceil(colors * bpc / 8));
+    const rowBytes = Math.ceil(colors * bpc * columns / 8);
+    const rows = Math.floor(data.length / (rowBytes + 1));
+    const out = new Uint8Array(rows * rowBytes);
+    let prior = new Uint8Array(rowBytes);
+    for (let r = 0; r < rows; r++) {
+      const type = data[r * (rowBytes + 1)];
+      const src = data.subarray(r * (rowBytes + 1) + 1, (r + 1) * (rowBytes + 1));
+      const cur = out.subarray(r * rowBytes, (r + 1) * rowBytes);
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= bpp ? cur[i - bpp] : 0;
+        const up = prior[i];
+        const upLeft = i >= bpp ? prior[i - bpp] : 0;
+        let v = src[i];
+        switch (type) {
+          case 1: v += left; break;
+          case 2: v += up; break;
+          case 3: v += (left + up) >> 1; break;
+          case 4: {
+            const pa = Math.abs(up - upLeft), pb = Math.abs(left - upLeft), pc = Math.abs(left + up - 2 * upLeft);
+            v += (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+            break;
+          }
+          default: break; // 0: None
+        }
+        cur[i] = v & 0xFF;
+      }
+      prior = cur;
+    }
+    return out;
+  }
+
+  function applyPredictor(data, parms) {
+    if (parms.predictor === 2) return tiffPredictor(data, parms);
+    if (parms.predictor >= 10) return pngPredictor(data, parms);
+    return data;
+  }
+
+  /**
+   * Run the filters in order. Returns { bytes, applied, pending }, where
+   * pending lists the image codec (and anything after it) left undecoded.
+   * A failing filter throws an Error naming the filter.
+   */
+  function decode(data, filters, parms = []) {
+    let bytes = data;
+    const applied = [];
+    const recovered = [];
+    for (let i = 0; i < filters.length; i++) {
+      const name = filters[i];
+      const p = parms[i] || readParms('');
+      if (IMAGE_CODECS.has(name)) return { bytes, applied, pending: filters.slice(i), recovered };
+      try {
+        switch (name) {
+          case 'FlateDecode': {
+            let inflated;
+            try {
+              inflated = flateDecode(bytes);
+            } catch (err) {
+              inflated = flateSalvage(bytes);
+              if (!inflated) throw err;
+              recovered.push(`FlateDecode kept ${inflated.length} bytes decoded before "${err.message}"`);
+            }
+            bytes = applyPredictor(inflated, p);
+            break;
+          }
+          case 'LZWDecode': bytes = applyPredictor(lzwDecode(bytes, p.earlyChange), p); break;
+          case 'ASCIIHexDecode': bytes = asciiHexDecode(bytes); break;
+          case 'ASCII85Decode': bytes = ascii85Decode(bytes); break;
+          case 'RunLengthDecode': bytes = runLengthDecode(bytes); break;
+          case 'Crypt': break; // handled by the security handler before decoding
+          default: throw new Error('unsupported filter');
+        }
+      } catch (err) {
+        const e = new Error(`${name} failed: ${err.message}`);
+        e.applied = applied;
+        e.partial = bytes;
+        throw e;
+      }
+      applied.push(p.predictor > 1 && (name === 'FlateDecode' || name === 'LZWDecode') ? `${name} (Predictor ${p.predictor})` : name);
+    }
+    return { bytes, applied, pending: [], recovered };
+  }
+
+  PDFFilters.normalizeNames = normalizeNames;
+  PDFFilters.parseDecodeParms = parseDecodeParms;
+  PDFFilters.decode = decode;
+  PDFFilters.bytesToLatin1 = bytesToLatin1;
+  PDFFilters.latin1ToBytes = latin1ToBytes;
+  PDFFilters.isImageCodec = name => IMAGE_CODECS.has(name);
+
+  global.PDFFilters = PDFFilters;
+
+})(typeof window !== 'undefined' ? window : globalThis);
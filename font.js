@@ -6,7 +6,7 @@
  *
  * Works with:
  *  - Type0 (CID-based) /Identity-H or V with /CIDFontType0/2 descendants
- *  - Type1, MMType1
+ *  - Type1, MMType1 (FontFile converted to OpenType by type1.js when loaded)
  *  - TrueType (Type42) and CIDFontType2 embedded as FontFile2
  *  - Type3 (no font file; renderer must paint glyph procs)
  *  - ToUnicode CMaps (bfchar/bfrange) for text extraction
@@ -17,9 +17,8 @@
  *    objects: Map,                    // key "num gen" -> { num, gen, dict, raw, decoded, ... }
  *    xrefEntries: Map,                // from your parser (for lazy /ObjStm expansion)
  *    fileBytes: Uint8Array,           // entire PDF bytes
- *    fileText: string,                // entire PDF as latin1 string
- *    processObjStmIfNeeded(num,gen): Promise<void>,
- *    extractAndDecodeStream(obj, bytes, text): Promise<void>,
+ *    processObjStmIfNeeded(num,gen): Promise<void>,   // loads the object if not yet in `objects`
+ *    extractAndDecodeStream(obj, bytes): Promise<void>,
  *    debugInfo: string[]              // push strings for diagnostics (optional)
  *  }
  *
@@ -100,42 +99,31 @@
       return s;
     }
 
+    // Entries are matched across each section: producers put several on
+    // a line, or split one over lines.
     const bfchar = /beginbfchar([\s\S]*?)endbfchar/gm;
     while ((m = bfchar.exec(cmapText))) {
-      const lines = m[1].split(/\r?\n/);
-      for (const ln of lines) {
-        const mm = ln.match(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/);
-        if (!mm) continue;
-        map[hexToCode(mm[1])] = hexToUnicodeText(mm[2]);
-      }
+      const entry = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g;
+      let mm;
+      while ((mm = entry.exec(m[1]))) map[hexToCode(mm[1])] = hexToUnicodeText(mm[2]);
     }
 
     const bfrange = /beginbfrange([\s\S]*?)endbfrange/gm;
     while ((m = bfrange.exec(cmapText))) {
-      const lines = m[1].split(/\r?\n/);
-      for (const ln of lines) {
-        let mm = ln.match(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>/);
-        if (mm) {
-          const s = hexToCode(mm[1]), e = hexToCode(mm[2]);
-          const dst0Hex = mm[3];
-          // Common case: one UTF-16 unit, then sequential increment
-          if (dst0Hex.length === 4) {
-            const dst0 = hexToCode(dst0Hex);
-            for (let c = s; c <= e; c++) map[c] = String.fromCharCode(dst0 + (c - s));
-          } else {
-            // Fallback: just map start
-            map[s] = hexToUnicodeText(dst0Hex);
-          }
-          continue;
-        }
-        mm = ln.match(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*\[([^\]]+)\]/);
-        if (mm) {
-          const s = hexToCode(mm[1]), e = hexToCode(mm[2]);
-          const list = mm[3].match(/<([0-9A-Fa-f]+)>/g) || [];
-          for (let i=0; i<list.length && s+i<=e; i++) {
-            const h = list[i].slice(1,-1);
-            map[s+i] = hexToUnicodeText(h);
-          }
+      const entry = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g;
+      let mm;
+      while ((mm = entry.exec(m[1]))) {
+        const s = hexToCode(mm[1]), e = hexToCode(mm[2]);
+        if (e < s || e - s > 0xffff) continue;
+        if (mm[3] !== undefined) {
+          // <start> <end> <dst>: the last UTF-16 unit of dst counts up
+          const dst0 = hexToUnicodeText(mm[3]);
+          const head = dst0.slice(0, -1), last = dst0.charCodeAt(dst0.length - 1) || 0;
+          for (let c = s; c <= e; c++) map[c] = head + String.fromCharCode(last + (c - s));
+        } else {
+          // <start> <end> [<d1> <d2> ...]
+          const list = mm[4].match(/<([0-9A-Fa-f]*)>/g) || [];
+          for (let i=0; i<list.length && s+i<=e; i++) map[s+i] = hexToUnicodeText(list[i].slice(1,-1));
         }
       }
     }
@@ -155,7 +143,7 @@
     const url = URL.createObjectURL(blob);
     const css = `@font-face{
       font-family:'${cssEscape(fontFamily)}';
-      src:url(${url}) format('truetype');
+      src:url(${url}) format('${mime === 'font/otf' ? 'opentype' : 'truetype'}');
       font-weight:normal; font-style:normal; font-display:swap; }`;
 
     let el = document.getElementById('pdf-embedded-fonts-blob');
@@ -232,11 +220,25 @@
     const fileObj = ctx.objects.get(ref.num + " " + ref.gen);
     if (!fileObj) return null;
     if (!fileObj.processed) {
-      await ctx.extractAndDecodeStream(fileObj, ctx.fileBytes, ctx.fileText);
+      await ctx.extractAndDecodeStream(fileObj, ctx.fileBytes);
       fileObj.processed = true;
     }
     if (!fileObj.decoded) return null;
 
+    // Browsers do not load Type1; convert it to OpenType (type1.js).
+    if (mime === 'font/type1') {
+      if (typeof PDFType1 === 'undefined') return null;
+      try {
+        const length1 = +(fileObj.dict.match(/\/Length1\s+(\d+)\b(?!\s+\d+\s+R)/) || [])[1] || undefined;
+        const length2 = +(fileObj.dict.match(/\/Length2\s+(\d+)\b(?!\s+\d+\s+R)/) || [])[1] || undefined;
+        const bytes = PDFType1.toOpenType(latin1ToUint8(fileObj.decoded), { length1, length2 });
+        return { bytes, mime: 'font/otf' };
+      } catch (e) {
+        log(ctx, `[Font] Type1 program ${ref.num} ${ref.gen} not converted: ${e.message}`);
+        return null;
+      }
+    }
+
     return { bytes: latin1ToUint8(fileObj.decoded), mime };
   }
 
@@ -256,7 +258,7 @@
       const obj = ctx.objects.get(ref.num + " " + ref.gen);
       if (!obj) return null;
       if (!obj.processed) {
-        await ctx.extractAndDecodeStream(obj, ctx.fileBytes, ctx.fileText);
+        await ctx.extractAndDecodeStream(obj, ctx.fileBytes);
         obj.processed = true;
       }
       return obj?.decoded ? parseToUnicodeCMap(obj.decoded) : null;
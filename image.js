@@ -109,6 +109,14 @@
 
       const w = readWord(); if (!w) break;
       if (w === 'q' || w === 'Q') { tokens.push({ op: w, args: [] }); continue; }
+      if (w === 'BMC' || w === 'EMC') { tokens.push({ op: w, args: [] }); continue; }
+      if (w === 'BDC') {
+        // only /OC sections matter here; args[0] is their /Properties name
+        const back = txt.slice(0, i);
+        const m = back.match(/\/OC\s*\/([^\s\/\[\]<>()]+)\s*BDC\s*$/);
+        tokens.push({ op: 'BDC', args: [m ? m[1] : null] });
+        continue;
+      }
       if (w === 'cm') {
         const back = txt.slice(0, i);
         const m = back.match(/(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+(-?\d*\.?\d+(?:e[+-]?\d+)?)\s+cm\s*$/i);
@@ -264,8 +272,11 @@
 
   // ---------- find current page's /XObject map ----------
   function findCurrentPageAndXObjects(params) {
-    let pageObj = null;
-    for (const [, obj] of params.objects.entries()) {
+    // The caller passes the page it renders; otherwise find the page whose
+    // contents match.
+    let pageObj = params.page || null;
+    const candidates = pageObj ? [] : params.objects.values();
+    for (const obj of candidates) {
       if (!/\/Type\s*\/Page\b/.test(obj.dict || '')) continue;
 
       const cm = (obj.dict || '').match(/\/Contents\s*(?:(\d+)\s+(\d+)\s+R|\[([\s\S]*?)\])/);
@@ -285,25 +296,47 @@
       }
       if (decoded && decoded.trim() === (params.content || '').trim()) { pageObj = obj; break; }
     }
-    if (!pageObj) return { pageObj: null, xobjs: null };
-
-    const resMatch = (pageObj.dict || '').match(/\/Resources\s*(?:(\d+)\s+(\d+)\s+R|<<([\s\S]*?)>>)/);
-    let resDict = '';
-    if (resMatch) {
-      if (resMatch[1] && resMatch[2]) {
-        const rkey = `${resMatch[1]} ${resMatch[2]}`; const ro = params.objects.get(rkey);
-        resDict = ro ? (ro.dict || '') : '';
-      } else {
-        resDict = resMatch[0];
+    if (!pageObj) return { pageObj: null, xobjs: null, props: new Map() };
+
+    // /Resources may come from a /Pages ancestor (pageObj.inherited).
+    const deref = v => {
+      const m = /^(\d+)\s+(\d+)\s+R$/.exec(v || '');
+      if (!m) return v || '';
+      const o = params.objects.get(`${m[1]} ${m[2]}`);
+      return o ? (o.dict || '') : '';
+    };
+    const inheritedRes = pageObj.inherited && pageObj.inherited.Resources;
+    const resDict = deref(entrySource(pageObj.dict || '', 'Resources') || inheritedRes);
+    const refs = category => {
+      const map = new Map();
+      const entRe = /\/([^\s\/\[\]<>()]+)\s+(\d+)\s+(\d+)\s+R/g; let m;
+      const src = deref(entrySource(resDict, category));
+      while ((m = entRe.exec(src))) map.set(m[1], `${m[2]} ${m[3]}`);
+      return map;
+    };
+    const xobjs = refs('XObject');
+    return { pageObj, xobjs: xobjs.size ? xobjs : null, props: refs('Properties') };
+  }
+
+  // Source of the value under /key: a reference, or a << >> dictionary
+  // with its nested dictionaries.
+  function entrySource(src, key) {
+    const m = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(src || '');
+    if (!m) return null;
+    const start = m.index + m[0].length;
+    if (!src.startsWith('<<', start)) {
+      const ref = /^\d+\s+\d+\s+R/.exec(src.slice(start));
+      return ref ? ref[0] : null;
+    }
+    let depth = 0;
+    for (let j = start; j < src.length - 1; j++) {
+      if (src[j] === '<' && src[j + 1] === '<') { depth++; j++; }
+      else if (src[j] === '>' && src[j + 1] === '>') {
+        depth--; j++;
+        if (depth === 0) return src.slice(start, j + 1);
       }
     }
-    const xoMatch = resDict && resDict.match(/\/XObject\s*<<([\s\S]*?)>>/);
-    if (!xoMatch) return { pageObj, xobjs: null };
-
-    const map = new Map();
-    const entRe = /\/([A-Za-z0-9._-]+)\s+(\d+)\s+(\d+)\s+R/g; let m;
-    while ((m = entRe.exec(xoMatch[1]))) map.set(m[1], `${m[2]} ${m[3]}`);
-    return { pageObj, xobjs: map };
+    return src.slice(start);
   }
 
   // ---------- DOM/layering ----------
@@ -327,9 +360,11 @@ outCont.appendChild(imgLayer);
   }
 
   // Apply PDF cm as-is; outer container can scale/translate for zoom/pan.
+  // The element's top row is the image's first row, at y = 1 of the unit
+  // square, so flip it into image space first.
   // Do NOT touch canvas width/height here (that clears pixels).
-  function placeEl(layer, el, W, H, mtx) {
-    const [a, b, c, d, e, f] = mtx;
+  function placeEl(layer, el, W, H, mtx, oc) {
+    const [a, b, c, d, e, f] = mult(mtx, [1,0,0,-1,0,1]);
     const holder = document.createElement('div');
     holder.style.position = 'absolute';
     holder.style.left = '0';
@@ -339,6 +374,7 @@ outCont.appendChild(imgLayer);
     holder.style.transformOrigin = '0 0';
     holder.style.transform = `matrix(${a}, ${b}, ${c}, ${d}, ${e}, ${f})`;
     holder.style.willChange = 'transform';
+    if (oc) holder.dataset.oc = oc; // optional content keys, see renderPage in text-vector.js
 
     el.style.display = 'block';
     el.style.width   = '1px';
@@ -361,24 +397,27 @@ outCont.appendChild(imgLayer);
     const imgLayer = makeImageLayer(outCont);
 
     // 3) tokenize + resources
-    const { xobjs } = findCurrentPageAndXObjects(params);
+    const { xobjs, props } = findCurrentPageAndXObjects(params);
     const tokens = tokenizeContent(params.content || '');
 
-    // 4) graphics state
-    let ctm = [1,0,0,1,0,0];
+    // 4) graphics state, starting from the same y-flip about the page height
+    // as the text layer so both share one coordinate space.
+    const pageH = Math.max(1, Math.floor(params.height || 792));
+    const base = [1,0,0,-1,0,pageH];
+    let ctm = base.slice();
     const stack = [];
-
-    // IMPORTANT: do NOT add extra y-flip here if your text layer already flipped.
-    // If your text didn't flip coordinates, you can enable one page-level flip:
-    // const pageH = params.pageHeight || 0;
-    // ctm = mult(ctm, [1,0,0,-1,0,pageH]);
+    const marked = []; // optional content key of each marked-content section, or null
+    const markedOC = extra => marked.concat(extra || []).filter(Boolean).join(',');
 
     for (let t = 0; t < tokens.length; t++) {
       const tok = tokens[t];
       switch (tok.op) {
         case 'q': stack.push(ctm.slice()); break;
-        case 'Q': ctm = stack.length ? stack.pop() : [1,0,0,1,0,0]; break;
+        case 'Q': ctm = stack.length ? stack.pop() : base.slice(); break;
         case 'cm': ctm = mult(ctm, tok.args); break;
+        case 'BMC': marked.push(null); break;
+        case 'BDC': marked.push(tok.args[0] ? props.get(tok.args[0]) || null : null); break;
+        case 'EMC': marked.pop(); break;
 
         case 'Do': {
           if (!xobjs) break;
@@ -418,7 +457,8 @@ outCont.appendChild(imgLayer);
             if (got) { element = got.el; iw = got.w; ih = got.h; }
           }
 
-          if (element) placeEl(imgLayer, element, iw, ih, ctm.slice());
+          const xoc = obj && (obj.dict || '').match(/\/OC\s+(\d+)\s+(\d+)\s+R/);
+          if (element) placeEl(imgLayer, element, iw, ih, ctm.slice(), markedOC(xoc && `${xoc[1]} ${xoc[2]}`));
           break;
         }
 
@@ -427,7 +467,7 @@ outCont.appendChild(imgLayer);
             const dictStr = tok.args[0];
             const bin = tokens[t + 1].args[0];
             const got = await decodeInlineImage(dictStr, bin);
-            if (got) placeEl(imgLayer, got.el, got.w, got.h, ctm.slice());
+            if (got) placeEl(imgLayer, got.el, got.w, got.h, ctm.slice(), markedOC());
           }
           break;
         }
@@ -0,0 +1,651 @@
+
+/*!
+ * security.js — PDF Standard security handler (decryption only)
+ * Load before the explorer; it exposes PDFSecurity on window (or globalThis).
+ *
+ * Supports:
+ *  - /V 1-2 RC4 40..128-bit (revisions 2 and 3)
+ *  - /V 4 crypt filters with /CFM /V2 (RC4) or /AESV2 (AES-128-CBC), revision 4
+ *  - /V 5 /AESV3 (AES-256-CBC), revisions 5 and 6
+ *  - /EncryptMetadata false and per-stream /Crypt filters
+ *
+ * All primitives (MD5, SHA-2, RC4, AES) are pure JS and synchronous, so the
+ * handler works offline, in workers and in Node without WebCrypto.
+ *
+ * Usage:
+ *    const handler = PDFSecurity.createStandardHandler(encryptDictStr, idBytes);
+ *    if (!handler.authenticate('')) handler.authenticate(askUserForPassword());
+ *    const plain = handler.decryptStream(bytes, num, gen);
+ */
+(function (global) {
+  const PDFSecurity = {};
+
+  // ---- byte helpers ----
+  function concatBytes(...parts) {
+    let len = 0;
+    for (const p of parts) len += p.length;
+    const out = new Uint8Array(len);
+    let o = 0;
+    for (const p of parts) { out.set(p, o); o += p.length; }
+    return out;
+  }
+
+  function utf8Bytes(s) { return new TextEncoder().encode(s); }
+
+  function latin1Bytes(s) {
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i) & 0xFF;
+    return out;
+  }
+
+  function bytesEqual(a, b, n = Math.max(a.length, b.length)) {
+    if (a.length < n || b.length < n) return false;
+    for (let i = 0; i < n; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  // ---- hash constants: fractional bits of square / cube roots of primes ----
+  function firstPrimes(n) {
+    const out = [];
+    for (let c = 2; out.length < n; c++) if (out.every(p => c % p)) out.push(c);
+    return out;
+  }
+  function bigRoot(x, k) {
+    // floor(x ** (1/k)) for BigInt x via Newton's method
+    let r = 1n << BigInt(Math.ceil(x.toString(2).length / k));
+    for (;;) {
+      const next = ((BigInt(k) - 1n) * r + x / r ** BigInt(k - 1)) / BigInt(k);
+      if (next >= r) return r;
+      r = next;
+    }
+  }
+  function rootFraction(p, k, bits) {
+    const mask = (1n << BigInt(bits)) - 1n;
+    return bigRoot(BigInt(p) << BigInt(bits * k), k) & mask;
+  }
+  const PRIMES = firstPrimes(80);
+  const SHA256_H = PRIMES.slice(0, 8).map(p => Number(rootFraction(p, 2, 32)));
+  const SHA256_K = PRIMES.slice(0, 64).map(p => Number(rootFraction(p, 3, 32)));
+  const split64 = v => [Number(v >> 32n), Number(v & 0xFFFFFFFFn)];
+  const SHA512_H = PRIMES.slice(0, 8).flatMap(p => split64(rootFraction(p, 2, 64)));
+  const SHA384_H = PRIMES.slice(8, 16).flatMap(p => split64(rootFraction(p, 2, 64)));
+  const SHA512_K = PRIMES.map(p => split64(rootFraction(p, 3, 64))).flat();
+
+  function padMessage(data, blockSize, lenBytes, littleEndian) {
+    const total = Math.ceil((data.length + 1 + lenBytes) / blockSize) * blockSize;
+    const out = new Uint8Array(total);
+    out.set(data);
+    out[data.length] = 0x80;
+    const dv = new DataView(out.buffer);
+    const hi = Math.floor(data.length / 0x20000000), lo = (data.length * 8) >>> 0;
+    if (littleEndian) { dv.setUint32(total - 8, lo, true); dv.setUint32(total - 4, hi, true); }
+    else { dv.setUint32(total - 8, hi); dv.setUint32(total - 4, lo); }
+    return out;
+  }
+
+  // ---- MD5 ----
+  const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+  const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+  function md5(data) {
+    const msg = padMessage(data, 64, 8, true);
+    const dv = new DataView(msg.buffer);
+    let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+    const M = new Uint32Array(16);
+    for (let off = 0; off < msg.length; off += 64) {
+      for (let j = 0; j < 16; j++) M[j] = dv.getUint32(off + j * 4, true);
+      let A = a0, B = b0, C = c0, D = d0;
+      for (let i = 0; i < 64; i++) {
+        let F, g;
+        if (i < 16) { F = (B & C) | (~B & D); g = i; }
+        else if (i < 32) { F = (D & B) | (~D & C); g = (5 * i + 1) & 15; }
+        else if (i < 48) { F = B ^ C ^ D; g = (3 * i + 5) & 15; }
+        else { F = C ^ (B | ~D); g = (7 * i) & 15; }
+        F = (F + A + MD5_K[i] + M[g]) | 0;
+        const s = MD5_S[(i >> 4) * 4 + (i & 3)];
+        A = D; D = C; C = B;
+        B = (B + ((F << s) | (F >>> (32 - s)))) | 0;
+      }
+      a0 = (a0 + A) | 0; b0 = (b0 + B) | 0; c0 = (c0 + C) | 0; d0 = (d0 + D) | 0;
+    }
+    const out = new Uint8Array(16);
+    const ov = new DataView(out.buffer);
+    [a0, b0, c0, d0].forEach((v, i) => ov.setUint32(i * 4, v >>> 0, true));
+    return out;
+  }
+
+  // ---- SHA-256 ----
+  function sha256(data) {
+    const msg = padMessage(data, 64, 8, false);
+    const dv = new DataView(msg.buffer);
+    const H = SHA256_H.slice();
+    const W = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let off = 0; off < msg.length; off += 64) {
+      for (let t = 0; t < 16; t++) W[t] = dv.getUint32(off + t * 4);
+      for (let t = 16; t < 64; t++) {
+        const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+        const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+        W[t] = (W[t - 16] + s0 + W[t - 7] + s1) | 0;
+      }
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let t = 0; t < 64; t++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + SHA256_K[t] + W[t]) | 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) | 0;
+        h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0; H[2] = (H[2] + c) | 0; H[3] = (H[3] + d) | 0;
+      H[4] = (H[4] + e) | 0; H[5] = (H[5] + f) | 0; H[6] = (H[6] + g) | 0; H[7] = (H[7] + h) | 0;
+    }
+    const out = new Uint8Array(32);
+    const ov = new DataView(out.buffer);
+    H.forEach((v, i) => ov.setUint32(i * 4, v >>> 0));
+    return out;
+  }
+
+  // ---- SHA-512 / SHA-384 (64-bit words as hi/lo 32-bit pairs) ----
+  function sha512core(data, init, outLen) {
+    const msg = padMessage(data, 128, 16, false);
+    const dv = new DataView(msg.buffer);
+    const H = init.slice();
+    const W = new Uint32Array(160);
+    // 64-bit rotate right / shift right on (hi, lo); results written to r[0], r[1]
+    const r = [0, 0];
+    function rotr(hi, lo, n) {
+      if (n < 32) { r[0] = (hi >>> n) | (lo << (32 - n)); r[1] = (lo >>> n) | (hi << (32 - n)); }
+      else { n -= 32; r[0] = (lo >>> n) | (hi << (32 - n)); r[1] = (hi >>> n) | (lo << (32 - n)); }
+    }
+    function shr(hi, lo, n) { r[0] = hi >>> n; r[1] = (lo >>> n) | (hi << (32 - n)); }
+    function sigma(hi, lo, a, b, c, isShift) {
+      rotr(hi, lo, a); let h = r[0], l = r[1];
+      rotr(hi, lo, b); h ^= r[0]; l ^= r[1];
+      if (isShift) shr(hi, lo, c); else rotr(hi, lo, c);
+      h ^= r[0]; l ^= r[1];
+      r[0] = h; r[1] = l;
+    }
+    // add any number of (hi, lo) pairs given as a flat list
+    function add(...v) {
+      let lo = 0, hi = 0;
+      for (let i = 0; i < v.length; i += 2) {
+        lo += v[i + 1] >>> 0;
+        hi += v[i] >>> 0;
+      }
+      hi += Math.floor(lo / 0x100000000);
+      r[0] = hi >>> 0; r[1] = lo >>> 0;
+    }
+    for (let off = 0; off < msg.length; off += 128) {
+      for (let t = 0; t < 32; t++) W[t] = dv.getUint32(off + t * 4);
+      for (let t = 16; t < 80; t++) {
+        sigma(W[(t - 15) * 2], W[(t - 15) * 2 + 1], 1, 8, 7, true);
+        const s0h = r[0], s0l = r[1];
+        sigma(W[(t - 2) * 2], W[(t - 2) * 2 + 1], 19, 61, 6, true);
+        add(W[(t - 16) * 2], W[(t - 16) * 2 + 1], s0h, s0l, W[(t - 7) * 2], W[(t - 7) * 2 + 1], r[0], r[1]);
+        W[t * 2] = r[0]; W[t * 2 + 1] = r[1];
+      }
+      let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = H;
+      for (let t = 0; t < 80; t++) {
+        sigma(eh, el, 14, 18, 41, false);
+        const S1h = r[0], S1l = r[1];
+        const chh = (eh & fh) ^ (~eh & gh), chl = (el & fl) ^ (~el & gl);
+        add(hh, hl, S1h, S1l, chh, chl, SHA512_K[t * 2], SHA512_K[t * 2 + 1], W[t * 2], W[t * 2 + 1]);
+        const t1h = r[0], t1l = r[1];
+        sigma(ah, al, 28, 34, 39, false);
+        const S0h = r[0], S0l = r[1];
+        const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch), majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+        add(S0h, S0l, majh, majl);
+        const t2h = r[0], t2l = r[1];
+        hh = gh; hl = gl; gh = fh; gl = fl; fh = eh; fl = el;
+        add(dh, dl, t1h, t1l); eh = r[0]; el = r[1];
+        dh = ch; dl = cl; ch = bh; cl = bl; bh = ah; bl = al;
+        add(t1h, t1l, t2h, t2l); ah = r[0]; al = r[1];
+      }
+      const vals = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+      for (let i = 0; i < 16; i += 2) {
+        add(H[i], H[i + 1], vals[i], vals[i + 1]);
+        H[i] = r[0]; H[i + 1] = r[1];
+      }
+    }
+    const out = new Uint8Array(64);
+    const ov = new DataView(out.buffer);
+    H.forEach((v, i) => ov.setUint32(i * 4, v >>> 0));
+    return out.slice(0, outLen);
+  }
+  const sha512 = data => sha512core(data, SHA512_H, 64);
+  const sha384 = data => sha512core(data, SHA384_H, 48);
+
+  // ---- RC4 ----
+  function rc4(key, data) {
+    const S = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) S[i] = i;
+    for (let i = 0, j = 0; i < 256; i++) {
+      j = (j + S[i] + key[i % key.length]) & 0xFF;
+      const t = S[i]; S[i] = S[j]; S[j] = t;
+    }
+    const out = new Uint8Array(data.length);
+    for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+      i = (i + 1) & 0xFF;
+      j = (j + S[i]) & 0xFF;
+      const t = S[i]; S[i] = S[j]; S[j] = t;
+      out[k] = data[k] ^ S[(S[i] + S[j]) & 0xFF];
+    }
+    return out;
+  }
+
+  // ---- AES (FIPS-197), byte-oriented ----
+  const SBOX = new Uint8Array(256), INV_SBOX = new Uint8Array(256);
+  (function initSbox() {
+    const rotl8 = (x, s) => ((x << s) | (x >>> (8 - s))) & 0xFF;
+    let p = 1, q = 1;
+    do {
+      p = (p ^ (p << 1) ^ (p & 0x80 ? 0x1B : 0)) & 0xFF;
+      q ^= q << 1; q ^= q << 2; q ^= q << 4; q &= 0xFF;
+      if (q & 0x80) q ^= 0x09;
+      SBOX[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+    } while (p !== 1);
+    SBOX[0] = 0x63;
+    for (let i = 0; i < 256; i++) INV_SBOX[SBOX[i]] = i;
+  })();
+
+  function gmul(a, b) {
+    let p = 0;
+    while (b) {
+      if (b & 1) p ^= a;
+      a = (a << 1) ^ (a & 0x80 ? 0x11B : 0);
+      b >>= 1;
+    }
+    return p;
+  }
+
+  function expandKey(key) {
+    const nk = key.length / 4, rounds = nk + 6;
+    const w = new Uint8Array(16 * (rounds + 1));
+    w.set(key);
+    let rcon = 1;
+    for (let i = nk; i < 4 * (rounds + 1); i++) {
+      let t = w.slice((i - 1) * 4, i * 4);
+      if (i % nk === 0) {
+        t = Uint8Array.of(SBOX[t[1]] ^ rcon, SBOX[t[2]], SBOX[t[3]], SBOX[t[0]]);
+        rcon = gmul(rcon, 2);
+      } else if (nk > 6 && i % nk === 4) {
+        t = t.map(b => SBOX[b]);
+      }
+      for (let j = 0; j < 4; j++) w[i * 4 + j] = w[(i - nk) * 4 + j] ^ t[j];
+    }
+    return { w, rounds };
+  }
+
+  function encryptBlock(ks, input) {
+    const s = Uint8Array.from(input);
+    const { w, rounds } = ks;
+    for (let i = 0; i < 16; i++) s[i] ^= w[i];
+    for (let round = 1; round <= rounds; round++) {
+      for (let i = 0; i < 16; i++) s[i] = SBOX[s[i]];
+      // ShiftRows (state is column-major: s[row + 4 * col])
+      let t = s[1]; s[1] = s[5]; s[5] = s[9]; s[9] = s[13]; s[13] = t;
+      t = s[2]; s[2] = s[10]; s[10] = t; t = s[6]; s[6] = s[14]; s[14] = t;
+      t = s[15]; s[15] = s[11]; s[11] = s[7]; s[7] = s[3]; s[3] = t;
+      if (round !== rounds) {
+        for (let c = 0; c < 16; c += 4) {
+          const a0 = s[c], a1 = s[c + 1], a2 = s[c + 2], a3 = s[c + 3];
+          s[c] = gmul(a0, 2) ^ gmul(a1, 3) ^ a2 ^ a3;
+          s[c + 1] = a0 ^ gmul(a1, 2) ^ gmul(a2, 3) ^ a3;
+          s[c + 2] = a0 ^ a1 ^ gmul(a2, 2) ^ gmul(a3, 3);
+          s[c + 3] = gmul(a0, 3) ^ a1 ^ a2 ^ gmul(a3, 2);
+        }
+      }
+      for (let i = 0; i < 16; i++) s[i] ^= w[round * 16 + i];
+    }
+    return s;
+  }
+
+  function decryptBlock(ks, input) {
+    const s = Uint8Array.from(input);
+    const { w, rounds } = ks;
+    for (let i = 0; i < 16; i++) s[i] ^= w[rounds * 16 + i];
+    for (let round = rounds - 1; round >= 0; round--) {
+      // InvShiftRows
+      let t = s[13]; s[13] = s[9]; s[9] = s[5]; s[5] = s[1]; s[1] = t;
+      t = s[2]; s[2] = s[10]; s[10] = t; t = s[6]; s[6] = s[14]; s[14] = t;
+      t = s[3]; s[3] = s[7]; s[7] = s[11]; s[11] = s[15]; s[15] = t;
+      for (let i = 0; i < 16; i++) s[i] = INV_SBOX[s[i]];
+      for (let i = 0; i < 16; i++) s[i] ^= w[round * 16 + i];
+      if (round !== 0) {
+        for (let c = 0; c < 16; c += 4) {
+          const a0 = s[c], a1 = s[c + 1], a2 = s[c + 2], a3 = s[c + 3];
+          s[c] = gmul(a0, 14) ^ gmul(a1, 11) ^ gmul(a2, 13) ^ gmul(a3, 9);
+          s[c + 1] = gmul(a0, 9) ^ gmul(a1, 14) ^ gmul(a2, 11) ^ gmul(a3, 13);
+          s[c + 2] = gmul(a0, 13) ^ gmul(a1, 9) ^ gmul(a2, 14) ^ gmul(a3, 11);
+          s[c + 3] = gmul(a0, 11) ^ gmul(a1, 13) ^ gmul(a2, 9) ^ gmul(a3, 14);
+        }
+      }
+    }
+    return s;
+  }
+
+  function aesCbcEncrypt(key, iv, data) {
+    const ks = expandKey(key);
+    const out = new Uint8Array(data.length);
+    let prev = iv;
+    for (let off = 0; off + 16 <= data.length; off += 16) {
+      const block = Uint8Array.from(data.subarray(off, off + 16));
+      for (let i = 0; i < 16; i++) block[i] ^= prev[i];
+      prev = encryptBlock(ks, block);
+      out.set(prev, off);
+    }
+    return out;
+  }
+
+  function aesCbcDecrypt(key, iv, data, unpad) {
+    const ks = expandKey(key);
+    const usable = data.length - (data.length % 16);
+    const out = new Uint8Array(usable);
+    let prev = iv;
+    for (let off = 0; off < usable; off += 16) {
+      const block = data.subarray(off, off + 16);
+      const plain = decryptBlock(ks, block);
+      for (let i = 0; i < 16; i++) out[off + i] = plain[i] ^ prev[i];
+      prev = block;
+    }
+    if (unpad && usable) {
+      const pad = out[usable - 1];
+      if (pad >= 1 && pad <= 16) return out.subarray(0, usable - pad);
+    }
+    return out;
+  }
+
+  // ---- PDF string syntax ----
+  /** Bytes of a literal "(...)" or hex "<...>" string starting at src[start]. */
+  function parseStringBytes(src, start = 0) {
+    let i = start;
+    while (i < src.length && /\s/.test(src[i])) i++;
+    const out = [];
+    if (src[i] === '<') {
+      let hex = '';
+      for (i++; i < src.length && src[i] !== '>'; i++) if (/[0-9A-Fa-f]/.test(src[i])) hex += src[i];
+      if (hex.length % 2) hex += '0';
+      for (let k = 0; k < hex.length; k += 2) out.push(parseInt(hex.substr(k, 2), 16));
+      return { bytes: Uint8Array.from(out), end: i + 1 };
+    }
+    if (src[i] !== '(') return null;
+    let depth = 1;
+    for (i++; i < src.length; i++) {
+      const ch = src[i];
+      if (ch === '\\') {
+        const n = src[++i];
+        if (n === undefined) break;
+        if (/[0-7]/.test(n)) {
+          let oct = n;
+          while (oct.length < 3 && /[0-7]/.test(src[i + 1] || '')) oct += src[++i];
+          out.push(parseInt(oct, 8) & 0xFF);
+        } else if (n === 'n') out.push(10);
+        else if (n === 'r') out.push(13);
+        else if (n === 't') out.push(9);
+        else if (n === 'b') out.push(8);
+        else if (n === 'f') out.push(12);
+        else if (n === '\r') { if (src[i + 1] === '\n') i++; }
+        else if (n === '\n') { /* line continuation */ }
+        else out.push(n.charCodeAt(0) & 0xFF);
+        continue;
+      }
+      if (ch === '(') depth++;
+      else if (ch === ')' && --depth === 0) return { bytes: Uint8Array.from(out), end: i + 1 };
+      out.push(ch.charCodeAt(0) & 0xFF);
+    }
+    return { bytes: Uint8Array.from(out), end: i };
+  }
+
+  function readString(dict, key) {
+    const m = dict && dict.match(new RegExp('\\/' + key + '\\s*(?=[(<][^<])'));
+    if (!m) return null;
+    const parsed = parseStringBytes(dict, m.index + m[0].length);
+    return parsed ? parsed.bytes : null;
+  }
+  function readNumber(dict, key, dflt) {
+    const m = dict && dict.match(new RegExp('\\/' + key + '\\s+(-?\\d+)'));
+    return m ? parseInt(m[1], 10) : dflt;
+  }
+  function readName(dict, key, dflt) {
+    const m = dict && dict.match(new RegExp('\\/' + key + '\\s*\\/([^\\s/<>\\[\\]()]+)'));
+    return m ? m[1] : dflt;
+  }
+  /** Body of the sub-dictionary under /key, balanced on << >>. */
+  function readSubDict(dict, key) {
+    const m = dict && dict.match(new RegExp('\\/' + key + '\\s*<<'));
+    if (!m) return null;
+    let depth = 0;
+    for (let i = m.index + m[0].length - 2; i < dict.length - 1; i++) {
+      if (dict[i] === '<' && dict[i + 1] === '<') { depth++; i++; }
+      else if (dict[i] === '>' && dict[i + 1] === '>') {
+        depth--; i++;
+        if (depth === 0) return dict.slice(m.index + m[0].length - 2, i + 1);
+      }
+    }
+    return null;
+  }
+
+  function toHex(bytes) {
+    let s = '';
+    for (const b of bytes) s += b.toString(16).padStart(2, '0');
+    return s.toUpperCase();
+  }
+
+  // ---- Standard security handler ----
+  const PASSWORD_PAD = Uint8Array.from([
+    0x28, 0xBF, 0x4E, 0x5E, 0x4E, 0x75, 0x8A, 0x41, 0x64, 0x00, 0x4E, 0x56, 0xFF, 0xFA, 0x01, 0x08,
+    0x2E, 0x2E, 0x00, 0xB6, 0xD0, 0x68, 0x3E, 0x80, 0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A
+  ]);
+
+  function padPassword(pwBytes) {
+    const out = new Uint8Array(32);
+    const n = Math.min(32, pwBytes.length);
+    out.set(pwBytes.subarray(0, n));
+    out.set(PASSWORD_PAD.subarray(0, 32 - n), n);
+    return out;
+  }
+
+  // Algorithm 2.B (ISO 32000-2): iterated SHA-256/384/512 hash used by R6.
+  function hashR6(password, salt, userKey) {
+    let K = sha256(concatBytes(password, salt, userKey));
+    let E = new Uint8Array(0);
+    for (let i = 0; i < 64 || E[E.length - 1] > i - 32; i++) {
+      const K1 = concatBytes(password, K, userKey);
+      const seq = new Uint8Array(K1.length * 64);
+      for (let j = 0; j < 64; j++) seq.set(K1, j * K1.length);
+      E = aesCbcEncrypt(K.subarray(0, 16), K.subarray(16, 32), seq);
+      let mod = 0;
+      for (let j = 0; j < 16; j++) mod += E[j];
+      mod %= 3;
+      K = mod === 0 ? sha256(E) : mod === 1 ? sha384(E) : sha512(E);
+    }
+    return K.subarray(0, 32);
+  }
+
+  /**
+   * createStandardHandler(encryptDict, idBytes)
+   * - encryptDict: the /Encrypt dictionary as PDF source text
+   * - idBytes: first element of the trailer /ID array (Uint8Array, may be empty)
+   * Throws for non-Standard filters or unsupported versions.
+   */
+  PDFSecurity.createStandardHandler = function (encryptDict, idBytes) {
+    const filter = readName(encryptDict, 'Filter', 'Standard');
+    if (filter !== 'Standard') throw new Error(`Unsupported security handler /${filter}`);
+    const V = readNumber(encryptDict, 'V', 0);
+    const R = readNumber(encryptDict, 'R', 2);
+    const P = readNumber(encryptDict, 'P', -1);
+    const O = readString(encryptDict, 'O') || new Uint8Array(0);
+    const U = readString(encryptDict, 'U') || new Uint8Array(0);
+    const encryptMetadata = !/\/EncryptMetadata\s+false\b/.test(encryptDict);
+    const id = idBytes || new Uint8Array(0);
+    if (![1, 2, 4, 5].includes(V)) throw new Error(`Unsupported /V ${V}`);
+    if (R < 2 || R > 6) throw new Error(`Unsupported /R ${R}`);
+
+    // Crypt filter methods: 'RC4' | 'AESV2' | 'AESV3' | 'Identity'
+    const cryptFilters = new Map([['Identity', 'Identity']]);
+    let keyLength = V === 1 ? 5 : Math.floor(readNumber(encryptDict, 'Length', 40) / 8);
+    let stmF = 'StdCF', strF = 'StdCF';
+    if (V >= 4) {
+      const cf = readSubDict(encryptDict, 'CF') || '';
+      const re = /\/([^\s/<>\[\]()]+)\s*<</g;
+      let m;
+      while ((m = re.exec(cf.slice(2)))) {
+        const sub = readSubDict(cf, m[1]);
+        if (!sub) continue;
+        const cfm = readName(sub, 'CFM', 'None');
+        cryptFilters.set(m[1], cfm === 'V2' ? 'RC4' : cfm === 'None' ? 'Identity' : cfm);
+        const len = readNumber(sub, 'Length', 0);
+        // /Length in crypt filters is in bytes per spec, but bits in the wild.
+        if (len) keyLength = len > 32 ? len / 8 : len;
+      }
+      stmF = readName(encryptDict, 'StmF', 'Identity');
+      strF = readName(encryptDict, 'StrF', 'Identity');
+    } else {
+      cryptFilters.set('StdCF', 'RC4');
+    }
+    if (V === 5) keyLength = 32;
+    keyLength = Math.max(5, Math.min(32, keyLength));
+
+    let fileKey = null;
+
+    function computeKeyR2to4(pw) {
+      const pBytes = Uint8Array.of(P & 0xFF, (P >> 8) & 0xFF, (P >> 16) & 0xFF, (P >>> 24) & 0xFF);
+      const parts = [padPassword(pw), O.subarray(0, 32), pBytes, id];
+      if (R >= 4 && !encryptMetadata) parts.push(Uint8Array.of(0xFF, 0xFF, 0xFF, 0xFF));
+      let hash = md5(concatBytes(...parts));
+      const n = R === 2 ? 5 : keyLength;
+      if (R >= 3) for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, n));
+      return hash.slice(0, n);
+    }
+
+    function checkUserR2to4(pw) {
+      const key = computeKeyR2to4(pw);
+      if (R === 2) return bytesEqual(rc4(key, PASSWORD_PAD), U, 32) ? key : null;
+      let x = rc4(key, md5(concatBytes(PASSWORD_PAD, id)));
+      for (let i = 1; i <= 19; i++) x = rc4(key.map(b => b ^ i), x);
+      return bytesEqual(x, U, 16) ? key : null;
+    }
+
+    function ownerToUserR2to4(pw) {
+      let hash = md5(padPassword(pw));
+      if (R >= 3) for (let i = 0; i < 50; i++) hash = md5(hash);
+      const key = hash.slice(0, R === 2 ? 5 : keyLength);
+      let user = O.subarray(0, 32);
+      if (R === 2) user = rc4(key, user);
+      else for (let i = 19; i >= 0; i--) user = rc4(key.map(b => b ^ i), user);
+      return user;
+    }
+
+    function hashR5orR6(pw, salt, udata) {
+      return R === 5 ? sha256(concatBytes(pw, salt, udata)) : hashR6(pw, salt, udata);
+    }
+
+    function checkR5or6(pw) {
+      const pass = pw.subarray(0, 127);
+      const zeroIv = new Uint8Array(16);
+      const OE = readString(encryptDict, 'OE') || new Uint8Array(0);
+      const UE = readString(encryptDict, 'UE') || new Uint8Array(0);
+      const u48 = U.subarray(0, 48);
+      if (bytesEqual(hashR5orR6(pass, O.subarray(32, 40), u48), O, 32)) {
+        return { key: aesCbcDecrypt(hashR5orR6(pass, O.subarray(40, 48), u48), zeroIv, OE.subarray(0, 32), false), as: 'owner' };
+      }
+      if (bytesEqual(hashR5orR6(pass, U.subarray(32, 40), new Uint8Array(0)), U, 32)) {
+        return { key: aesCbcDecrypt(hashR5orR6(pass, U.subarray(40, 48), new Uint8Array(0)), zeroIv, UE.subarray(0, 32), false), as: 'user' };
+      }
+      return null;
+    }
+
+    function objectKey(num, gen, method) {
+      if (method === 'AESV3') return fileKey;
+      const parts = [fileKey, Uint8Array.of(num & 0xFF, (num >> 8) & 0xFF, (num >> 16) & 0xFF, gen & 0xFF, (gen >> 8) & 0xFF)];
+      if (method === 'AESV2') parts.push(Uint8Array.of(0x73, 0x41, 0x6C, 0x54)); // "sAlT"
+      return md5(concatBytes(...parts)).slice(0, Math.min(fileKey.length + 5, 16));
+    }
+
+    function decrypt(bytes, num, gen, filterName) {
+      const method = cryptFilters.get(filterName) || 'Identity';
+      if (!fileKey || method === 'Identity' || method === 'None') return bytes;
+      const key = objectKey(num, gen, method);
+      if (method === 'RC4') return rc4(key, bytes);
+      if (bytes.length < 16) return new Uint8Array(0);
+      return aesCbcDecrypt(key, bytes.subarray(0, 16), bytes.subarray(16), true);
+    }
+
+    const handler = {
+      version: V,
+      revision: R,
+      permissions: P,
+      encryptMetadata,
+      authenticatedAs: null,
+      streamMethod: () => cryptFilters.get(stmF) || 'Identity',
+      stringMethod: () => cryptFilters.get(strF) || 'Identity',
+
+      /** Try a password as user, then as owner. Returns 'user' | 'owner' | null. */
+      authenticate(password) {
+        const pw = R >= 5 ? utf8Bytes(password || '') : latin1Bytes(password || '');
+        if (R >= 5) {
+          const res = checkR5or6(pw);
+          if (!res) return null;
+          fileKey = res.key;
+          return (handler.authenticatedAs = res.as);
+        }
+        let key = checkUserR2to4(pw);
+        if (key) { fileKey = key; return (handler.authenticatedAs = 'user'); }
+        key = checkUserR2to4(ownerToUserR2to4(pw));
+        if (key) { fileKey = key; return (handler.authenticatedAs = 'owner'); }
+        return null;
+      },
+
+      /** Decrypt stream data; cryptFilter overrides /StmF (from a /Crypt filter). */
+      decryptStream(bytes, num, gen, cryptFilter) {
+        return decrypt(bytes, num, gen, cryptFilter || stmF);
+      },
+
+      decryptString(bytes, num, gen) {
+        return decrypt(bytes, num, gen, strF);
+      },
+
+      /**
+       * Rewrite every string in an object's source text as a decrypted hex
+       * string. Stops at the "stream" keyword; stream data is handled apart.
+       */
+      decryptObjectBody(body, num, gen) {
+        let out = '', i = 0, last = 0;
+        while (i < body.length) {
+          const ch = body[i];
+          if (ch === '(' || (ch === '<' && body[i + 1] !== '<')) {
+            const parsed = parseStringBytes(body, i);
+            out += body.slice(last, i) + '<' + toHex(handler.decryptString(parsed.bytes, num, gen)) + '>';
+            i = last = parsed.end;
+            continue;
+          }
+          if (ch === '<' || ch === '>') { i += 2; continue; }
+          if (ch === 's' && body.startsWith('stream', i) && !/[A-Za-z]/.test(body[i - 1] || '') && !/[A-Za-z]/.test(body[i + 6] || '')) break;
+          i++;
+        }
+        return out + body.slice(last);
+      },
+
+      describe() {
+        const m = handler.streamMethod();
+        const bits = m === 'AESV3' ? 256 : m === 'AESV2' ? 128 : keyLength * 8;
+        return `Standard V${V} R${R}, ${m} ${bits}-bit${encryptMetadata ? '' : ', metadata in clear'}`;
+      }
+    };
+    return handler;
+  };
+
+  PDFSecurity.parseStringBytes = parseStringBytes;
+  PDFSecurity.md5 = md5;
+  PDFSecurity.sha256 = sha256;
+  PDFSecurity.sha384 = sha384;
+  PDFSecurity.sha512 = sha512;
+  PDFSecurity.rc4 = rc4;
+  PDFSecurity.aesCbcDecrypt = aesCbcDecrypt;
+  PDFSecurity.aesCbcEncrypt = aesCbcEncrypt;
+
+  global.PDFSecurity = PDFSecurity;
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,481 @@
+/*!
+ * sfnt.js — reads embedded font programs and rebuilds them for the browser
+ * Load before text-vector.js; it exposes PDFSfnt on window (or globalThis).
+ *
+ * Browsers pick glyphs through a font's Unicode cmap, while PDF simple
+ * fonts select them by character code. The renderer works out which glyph
+ * each code shows (TrueType cmaps, CFF charset and encoding) and has the
+ * program rebuilt with a (3,1) cmap from the characters it draws to those
+ * glyphs. TrueType and OpenType programs keep their outlines; bare CFF
+ * (FontFile3 /Type1C) is wrapped in an OpenType font. Tables browsers
+ * insist on (OS/2, name, post) are added when a subset left them out.
+ *
+ * Usage:
+ *    const tt = PDFSfnt.parseTrueType(bytes);   // { tables, cmaps, numGlyphs }
+ *    const gid = PDFSfnt.findCmap(tt, 3, 1)?.lookup(0x41);
+ *    const ttf = PDFSfnt.buildTrueType(tt, new Map([[0x41, gid]]), { name: 'F1' });
+ *    const cff = PDFSfnt.parseCff(bytes);       // { numGlyphs, names, nameToGid, encoding, bbox }
+ *    const otf = PDFSfnt.wrapCff(bytes, cff, charToGid, { name: 'F1', advances, ascent, descent });
+ */
+(function (global) {
+  const PDFSfnt = {};
+
+  // ---- Reading ----
+
+  function tagAt(bytes, pos) {
+    return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+  }
+
+  // cmap subtables, each with a lookup from code to glyph id (0 = none).
+  // Formats 0, 4, 6 and 12 cover what PDF producers embed.
+  function readCmaps(cmap) {
+    const subtables = [];
+    if (!cmap || cmap.length < 4) return subtables;
+    const view = new DataView(cmap.buffer, cmap.byteOffset, cmap.byteLength);
+    const count = view.getUint16(2);
+    for (let i = 0; i < count && 4 + i * 8 + 8 <= cmap.length; i++) {
+      const platform = view.getUint16(4 + i * 8);
+      const encoding = view.getUint16(6 + i * 8);
+      const offset = view.getUint32(8 + i * 8);
+      if (offset + 4 > cmap.length) continue;
+      const format = view.getUint16(offset);
+      const u16 = pos => (pos + 2 <= cmap.length ? view.getUint16(pos) : 0);
+      let lookup = null;
+      if (format === 0) {
+        lookup = code => (code < 256 && offset + 6 + code < cmap.length ? cmap[offset + 6 + code] : 0);
+      } else if (format === 4) {
+        const segCount = u16(offset + 6) >> 1;
+        const ends = offset + 14, starts = ends + segCount * 2 + 2;
+        const deltas = starts + segCount * 2, rangeOffsets = deltas + segCount * 2;
+        lookup = code => {
+          for (let s = 0; s < segCount; s++) {
+            if (code > u16(ends + s * 2)) continue;
+            const start = u16(starts + s * 2);
+            if (code < start) return 0;
+            const delta = u16(deltas + s * 2);
+            const rangeOffset = u16(rangeOffsets + s * 2);
+            if (!rangeOffset) return (code + delta) & 0xffff;
+            const gid = u16(rangeOffsets + s * 2 + rangeOffset + (code - start) * 2);
+            return gid ? (gid + delta) & 0xffff : 0;
+          }
+          return 0;
+        };
+      } else if (format === 6) {
+        const first = u16(offset + 6), entries = u16(offset + 8);
+        lookup = code => (code >= first && code < first + entries ? u16(offset + 10 + (code - first) * 2) : 0);
+      } else if (format === 12) {
+        const groups = offset + 16 <= cmap.length ? view.getUint32(offset + 12) : 0;
+        lookup = code => {
+          for (let g = 0; g < groups && offset + 16 + g * 12 + 12 <= cmap.length; g++) {
+            const pos = offset + 16 + g * 12;
+            const start = view.getUint32(pos), end = view.getUint32(pos + 4);
+            if (code >= start && code <= end) return view.getUint32(pos + 8) + code - start;
+          }
+          return 0;
+        };
+      }
+      if (lookup) subtables.push({ platform, encoding, format, lookup });
+    }
+    return subtables;
+  }
+
+  // Tables of a TrueType or OpenType program (the first font of a
+  // collection). Tables running past the end of the data are cut short.
+  function parseTrueType(bytes) {
+    if (bytes.length < 12) throw new Error('Font program too short');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let base = 0;
+    if (tagAt(bytes, 0) === 'ttcf') base = view.getUint32(12);
+    const version = view.getUint32(base);
+    const numTables = view.getUint16(base + 4);
+    const tables = new Map();
+    for (let i = 0; i < numTables; i++) {
+      const rec = base + 12 + i * 16;
+      if (rec + 16 > bytes.length) break;
+      const offset = view.getUint32(rec + 8), length = view.getUint32(rec + 12);
+      if (offset >= bytes.length) continue;
+      tables.set(tagAt(bytes, rec), bytes.subarray(offset, Math.min(offset + length, bytes.length)));
+    }
+    if (!tables.has('head') || !tables.has('maxp')) throw new Error('Not a TrueType or OpenType program');
+    const maxp = tables.get('maxp');
+    return {
+      version,
+      tables,
+      cmaps: readCmaps(tables.get('cmap')),
+      numGlyphs: maxp.length >= 6 ? (maxp[4] << 8) | maxp[5] : 0
+    };
+  }
+
+  function findCmap(font, platform, encoding) {
+    return font.cmaps.find(c => c.platform === platform && c.encoding === encoding) || null;
+  }
+
+  // CFF standard strings: SIDs 0-390 (CFF specification, appendix A).
+  const STANDARD_STRINGS = ('.notdef space exclam quotedbl numbersign dollar percent ampersand quoteright ' +
+    'parenleft parenright asterisk plus comma hyphen period slash zero one two three four five six seven ' +
+    'eight nine colon semicolon less equal greater question at A B C D E F G H I J K L M N O P Q R S T U V ' +
+    'W X Y Z bracketleft backslash bracketright asciicircum underscore quoteleft a b c d e f g h i j k l m ' +
+    'n o p q r s t u v w x y z braceleft bar braceright asciitilde exclamdown cent sterling fraction yen ' +
+    'florin section currency quotesingle quotedblleft guillemotleft guilsinglleft guilsinglright fi fl ' +
+    'endash dagger daggerdbl periodcentered paragraph bullet quotesinglbase quotedblbase quotedblright ' +
+    'guillemotright ellipsis perthousand questiondown grave acute circumflex tilde macron breve dotaccent ' +
+    'dieresis ring cedilla hungarumlaut ogonek caron emdash AE ordfeminine Lslash Oslash OE ordmasculine ' +
+    'ae dotlessi lslash oslash oe germandbls onesuperior logicalnot mu trademark Eth onehalf plusminus ' +
+    'Thorn onequarter divide brokenbar degree thorn threequarters twosuperior registered minus eth ' +
+    'multiply threesuperior copyright Aacute Acircumflex Adieresis Agrave Aring Atilde Ccedilla Eacute ' +
+    'Ecircumflex Edieresis Egrave Iacute Icircumflex Idieresis Igrave Ntilde Oacute Ocircumflex Odieresis ' +
+    'Ograve Otilde Scaron Uacute Ucircumflex Udieresis Ugrave Yacute Ydieresis Zcaron aacute acircumflex ' +
+    'adieresis agrave aring atilde ccedilla eacute ecircumflex edieresis egrave iacute icircumflex ' +
+    'idieresis igrave ntilde oacute ocircumflex odieresis ograve otilde scaron uacute ucircumflex ' +
+    'udieresis ugrave yacute ydieresis zcaron exclamsmall Hungarumlautsmall dollaroldstyle dollarsuperior ' +
+    'ampersandsmall Acutesmall parenleftsuperior parenrightsuperior twodotenleader onedotenleader ' +
+    'zerooldstyle oneoldstyle twooldstyle threeoldstyle fouroldstyle fiveoldstyle sixoldstyle ' +
+    'sevenoldstyle eightoldstyle nineoldstyle commasuperior threequartersemdash periodsuperior ' +
+    'questionsmall asuperior bsuperior centsuperior dsuperior esuperior isuperior lsuperior msuperior ' +
+    'nsuperior osuperior rsuperior ssuperior tsuperior ff ffi ffl parenleftinferior parenrightinferior ' +
+    'Circumflexsmall hyphensuperior Gravesmall Asmall Bsmall Csmall Dsmall Esmall Fsmall Gsmall Hsmall ' +
+    'Ismall Jsmall Ksmall Lsmall Msmall Nsmall Osmall Psmall Qsmall Rsmall Ssmall Tsmall Usmall Vsmall ' +
+    'Wsmall Xsmall Ysmall Zsmall colonmonetary onefitted rupiah Tildesmall exclamdownsmall centoldstyle ' +
+    'Lslashsmall Scaronsmall Zcaronsmall Dieresissmall Brevesmall Caronsmall Dotaccentsmall Macronsmall ' +
+    'figuredash hypheninferior Ogoneksmall Ringsmall Cedillasmall questiondownsmall oneeighth ' +
+    'threeeighths fiveeighths seveneighths onethird twothirds zerosuperior foursuperior fivesuperior ' +
+    'sixsuperior sevensuperior eightsuperior ninesuperior zeroinferior oneinferior twoinferior ' +
+    'threeinferior fourinferior fiveinferior sixinferior seveninferior eightinferior nineinferior ' +
+    'centinferior dollarinferior periodinferior commainferior Agravesmall Aacutesmall Acircumflexsmall ' +
+    'Atildesmall Adieresissmall Aringsmall AEsmall Ccedillasmall Egravesmall Eacutesmall ' +
+    'Ecircumflexsmall Edieresissmall Igravesmall Iacutesmall Icircumflexsmall Idieresissmall Ethsmall ' +
+    'Ntildesmall Ogravesmall Oacutesmall Ocircumflexsmall Otildesmall Odieresissmall OEsmall Oslashsmall ' +
+    'Ugravesmall Uacutesmall Ucircumflexsmall Udieresissmall Yacutesmall Thornsmall Ydieresissmall ' +
+    '001.000 001.001 001.002 001.003 Black Bold Book Light Medium Regular Roman Semibold').split(' ');
+
+  // Codes of StandardEncoding above 126, in the order of SIDs 96-149.
+  const STANDARD_HIGH_CODES = [
+    161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 177, 178, 179, 180, 182,
+    183, 184, 185, 186, 187, 188, 189, 191, 193, 194, 195, 196, 197, 198, 199, 200, 202, 203, 205, 206,
+    207, 208, 225, 227, 232, 233, 234, 235, 241, 245, 248, 249, 250, 251
+  ];
+
+  // SID of a code in StandardEncoding, or 0.
+  function standardEncodingSid(code) {
+    if (code >= 32 && code <= 126) return code - 31;
+    const k = STANDARD_HIGH_CODES.indexOf(code);
+    return k === -1 ? 0 : 96 + k;
+  }
+
+  // INDEX at pos: the [start, end) of each item, and where it ends.
+  function readIndex(bytes, pos) {
+    const count = (bytes[pos] << 8) | bytes[pos + 1];
+    if (!count) return { items: [], end: pos + 2 };
+    const offSize = bytes[pos + 2];
+    const offset = k => {
+      let v = 0;
+      for (let b = 0; b < offSize; b++) v = v * 256 + bytes[pos + 3 + k * offSize + b];
+      return v;
+    };
+    const data = pos + 3 + (count + 1) * offSize - 1;
+    const items = [];
+    for (let k = 0; k < count; k++) items.push([data + offset(k), data + offset(k + 1)]);
+    return { items, end: data + offset(count) };
+  }
+
+  // DICT data: operator (12 x as 1200 + x) -> operands.
+  function readDict(bytes, start, end) {
+    const dict = new Map();
+    let operands = [];
+    let pos = start;
+    while (pos < end) {
+      const b = bytes[pos++];
+      if (b <= 21) {
+        const op = b === 12 ? 1200 + bytes[pos++] : b;
+        dict.set(op, operands);
+        operands = [];
+      } else if (b === 28) {
+        operands.push(((bytes[pos] << 24) | (bytes[pos + 1] << 16)) >> 16);
+        pos += 2;
+      } else if (b === 29) {
+        operands.push((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]);
+        pos += 4;
+      } else if (b === 30) {
+        let text = '';
+        const nibbles = '0123456789.EE?-';
+        for (let done = false; !done && pos < end;) {
+          const byte = bytes[pos++];
+          for (const n of [byte >> 4, byte & 15]) {
+            if (n === 15) { done = true; break; }
+            text += n === 12 ? 'E-' : nibbles[n];
+          }
+        }
+        operands.push(parseFloat(text));
+      } else if (b >= 32 && b <= 246) operands.push(b - 139);
+      else if (b >= 247 && b <= 250) operands.push((b - 247) * 256 + bytes[pos++] + 108);
+      else if (b >= 251 && b <= 254) operands.push(-(b - 251) * 256 - bytes[pos++] - 108);
+    }
+    return dict;
+  }
+
+  // A bare CFF font: glyph count and names (charset), the built-in
+  // encoding (code -> glyph id) and the FontBBox / FontMatrix.
+  function parseCff(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 1) throw new Error('Not a CFF font program');
+    const names = readIndex(bytes, bytes[2]);
+    const topDicts = readIndex(bytes, names.end);
+    const strings = readIndex(bytes, topDicts.end);
+    if (!topDicts.items.length) throw new Error('CFF font without a Top DICT');
+    const top = readDict(bytes, ...topDicts.items[0]);
+    const charStringsOffset = (top.get(17) || [])[0];
+    if (!charStringsOffset) throw new Error('CFF font without CharStrings');
+    const numGlyphs = readIndex(bytes, charStringsOffset).items.length;
+    const cidKeyed = top.has(1230);
+    const stringOf = sid => {
+      if (sid < STANDARD_STRINGS.length) return STANDARD_STRINGS[sid];
+      const item = strings.items[sid - STANDARD_STRINGS.length];
+      return item ? String.fromCharCode(...bytes.subarray(item[0], item[1])) : null;
+    };
+
+    // charset: glyph id -> SID (CID for CID-keyed fonts)
+    const sids = [0];
+    const charsetOffset = (top.get(15) || [0])[0];
+    if (charsetOffset === 0) {
+      for (let gid = 1; gid < numGlyphs; gid++) sids.push(gid <= 228 ? gid : 0);
+    } else if (charsetOffset > 2) {
+      const format = bytes[charsetOffset];
+      let pos = charsetOffset + 1;
+      while (sids.length < numGlyphs && pos < bytes.length) {
+        const first = (bytes[pos] << 8) | bytes[pos + 1];
+        if (format === 0) {
+          sids.push(first);
+          pos += 2;
+          continue;
+        }
+        const left = format === 1 ? bytes[pos + 2] : (bytes[pos + 2] << 8) | bytes[pos + 3];
+        pos += format === 1 ? 3 : 4;
+        for (let k = 0; k <= left && sids.length < numGlyphs; k++) sids.push(first + k);
+      }
+    }
+    const glyphNames = cidKeyed ? [] : sids.map(stringOf);
+    const nameToGid = new Map();
+    glyphNames.forEach((name, gid) => { if (name && !nameToGid.has(name)) nameToGid.set(name, gid); });
+    const sidToGid = new Map();
+    sids.forEach((sid, gid) => { if (!sidToGid.has(sid)) sidToGid.set(sid, gid); });
+
+    // Encoding: predefined Standard (0), Expert (1, not mapped) or custom.
+    const encoding = new Map();
+    const encodingOffset = (top.get(16) || [0])[0];
+    if (!cidKeyed && encodingOffset === 0) {
+      for (let code = 0; code < 256; code++) {
+        const gid = sidToGid.get(standardEncodingSid(code));
+        if (gid) encoding.set(code, gid);
+      }
+    } else if (!cidKeyed && encodingOffset > 1) {
+      const format = bytes[encodingOffset];
+      let pos = encodingOffset + 1;
+      if ((format & 0x7f) === 0) {
+        const n = bytes[pos++];
+        for (let k = 0; k < n; k++) encoding.set(bytes[pos++], k + 1);
+      } else {
+        const ranges = bytes[pos++];
+        let gid = 1;
+        for (let r = 0; r < ranges; r++) {
+          const first = bytes[pos], left = bytes[pos + 1];
+          pos += 2;
+          for (let k = 0; k <= left; k++) encoding.set(first + k, gid++);
+        }
+      }
+      if (format & 0x80) {
+        const sups = bytes[pos++];
+        for (let k = 0; k < sups; k++, pos += 3) {
+          const gid = sidToGid.get((bytes[pos + 1] << 8) | bytes[pos + 2]);
+          if (gid) encoding.set(bytes[pos], gid);
+        }
+      }
+    }
+
+    return {
+      numGlyphs,
+      cidKeyed,
+      names: glyphNames,
+      nameToGid,
+      encoding,
+      bbox: top.get(5) || [0, 0, 0, 0],
+      fontMatrix: top.get(1207) || [0.001, 0, 0, 0.001, 0, 0]
+    };
+  }
+
+  // ---- Writing ----
+
+  function u16(n) { return [(n >> 8) & 255, n & 255]; }
+  function u32(n) { return [(n >>> 24) & 255, (n >> 16) & 255, (n >> 8) & 255, n & 255]; }
+
+  function checksum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 4) {
+      sum = (sum + ((bytes[i] << 24) | ((bytes[i + 1] || 0) << 16) | ((bytes[i + 2] || 0) << 8) | (bytes[i + 3] || 0))) >>> 0;
+    }
+    return sum;
+  }
+
+  // An sfnt from its tables, with the table directory, checksums and
+  // head.checkSumAdjustment filled in.
+  function writeSfnt(version, tables) {
+    const tags = [...tables.keys()].sort();
+    const headerLength = 12 + tags.length * 16;
+    let length = headerLength;
+    for (const tag of tags) length += (tables.get(tag).length + 3) & ~3;
+    const out = new Uint8Array(length);
+    let entrySelector = 0;
+    while ((2 << entrySelector) <= tags.length) entrySelector++;
+    const searchRange = (1 << entrySelector) * 16;
+    out.set([...u32(version), ...u16(tags.length), ...u16(searchRange), ...u16(entrySelector), ...u16(tags.length * 16 - searchRange)]);
+    let offset = headerLength, headOffset = -1;
+    tags.forEach((tag, i) => {
+      let data = tables.get(tag);
+      if (tag === 'head') {
+        data = data.slice();
+        data.set([0, 0, 0, 0], 8);
+        headOffset = offset;
+      }
+      out.set([...tag].map(c => c.charCodeAt(0)), 12 + i * 16);
+      out.set([...u32(checksum(data)), ...u32(offset), ...u32(data.length)], 16 + i * 16);
+      out.set(data, offset);
+      offset += (data.length + 3) & ~3;
+    });
+    if (headOffset !== -1) out.set(u32((0xB1B0AFBA - checksum(out)) >>> 0), headOffset + 8);
+    return out;
+  }
+
+  // (3,1) cmap, format 4, with one segment per character.
+  function buildCmap(charToGid) {
+    const chars = [...charToGid.keys()].filter(c => c < 0xffff).sort((a, b) => a - b);
+    const segCount = chars.length + 1;
+    let entrySelector = 0;
+    while ((2 << entrySelector) <= segCount) entrySelector++;
+    const searchRange = (1 << entrySelector) * 2;
+    const ends = [], starts = [], deltas = [], offsets = [];
+    for (const c of chars) {
+      ends.push(...u16(c));
+      starts.push(...u16(c));
+      deltas.push(...u16((charToGid.get(c) - c) & 0xffff));
+      offsets.push(0, 0);
+    }
+    ends.push(0xff, 0xff);
+    starts.push(0xff, 0xff);
+    deltas.push(0, 1);
+    offsets.push(0, 0);
+    const subtable = [
+      ...u16(4), ...u16(16 + segCount * 8), ...u16(0), ...u16(segCount * 2), ...u16(searchRange),
+      ...u16(entrySelector), ...u16(segCount * 2 - searchRange), ...ends, 0, 0, ...starts, ...deltas, ...offsets
+    ];
+    return new Uint8Array([...u16(0), ...u16(1), ...u16(3), ...u16(1), ...u32(12), ...subtable]);
+  }
+
+  function buildName(name) {
+    const records = [[1, name], [2, 'Regular'], [3, `${name}:PDF`], [4, name], [5, 'Version 1.0'], [6, name.replace(/[^\x21-\x7e]|[\[\](){}<>\/%]/g, '')]];
+    const strings = records.map(([, text]) => {
+      const bytes = [];
+      for (const ch of text) bytes.push(...u16(ch.charCodeAt(0)));
+      return bytes;
+    });
+    const head = [...u16(0), ...u16(records.length), ...u16(6 + records.length * 12)];
+    let offset = 0;
+    records.forEach(([id], i) => {
+      head.push(...u16(3), ...u16(1), ...u16(0x409), ...u16(id), ...u16(strings[i].length), ...u16(offset));
+      offset += strings[i].length;
+    });
+    return new Uint8Array([...head, ...strings.flat()]);
+  }
+
+  function buildOs2({ ascent, descent, firstChar, lastChar, avgWidth }) {
+    const zeros = n => new Array(n).fill(0);
+    return new Uint8Array([
+      ...u16(3), ...u16(avgWidth), ...u16(400), ...u16(5), ...u16(0),
+      ...zeros(16), // subscript and superscript sizes and offsets
+      ...u16(50), ...u16(300), ...u16(0), // strikeout size and position, family class
+      ...zeros(10), ...zeros(16), // panose, unicode ranges
+      ...[...'PDF '].map(c => c.charCodeAt(0)), ...u16(0x40), ...u16(firstChar), ...u16(lastChar),
+      ...u16(ascent), ...u16(descent), ...u16(0), ...u16(ascent), ...u16(-descent & 0xffff),
+      ...u32(1), ...u32(0), // code page ranges: Latin 1
+      ...u16(0), ...u16(0), ...u16(0), ...u16(32), ...u16(1)
+    ]);
+  }
+
+  function buildPost() {
+    return new Uint8Array([...u32(0x00030000), ...new Array(28).fill(0)]);
+  }
+
+  function charRange(charToGid) {
+    const chars = [...charToGid.keys()].filter(c => c < 0xffff);
+    return chars.length ? [Math.min(...chars), Math.max(...chars)] : [0x20, 0x20];
+  }
+
+  // A TrueType or OpenType program with its cmap replaced by charToGid
+  // (character -> glyph id), missing OS/2, name and post tables added,
+  // and a short hmtx padded to what hhea and maxp announce.
+  function buildTrueType(font, charToGid, { name = 'PDF font' } = {}) {
+    const tables = new Map(font.tables);
+    tables.set('cmap', buildCmap(charToGid));
+    const head = tables.get('head').slice();
+    head.set(u32(0x5F0F3CF5), 12);
+    tables.set('head', head);
+    const hhea = tables.get('hhea');
+    const s16 = (t, pos) => (t && t.length >= pos + 2 ? ((t[pos] << 24) | (t[pos + 1] << 16)) >> 16 : 0);
+    const metrics = hhea ? (hhea[34] << 8) | hhea[35] : 0;
+    const hmtx = tables.get('hmtx') || new Uint8Array(0);
+    const hmtxLength = metrics * 4 + Math.max(0, font.numGlyphs - metrics) * 2;
+    if (hhea && hmtx.length < hmtxLength) {
+      const padded = new Uint8Array(hmtxLength);
+      padded.set(hmtx);
+      tables.set('hmtx', padded);
+    }
+    const [firstChar, lastChar] = charRange(charToGid);
+    if (!tables.has('OS/2') || tables.get('OS/2').length < 78) {
+      tables.set('OS/2', buildOs2({ ascent: s16(hhea, 4), descent: s16(hhea, 6), firstChar, lastChar, avgWidth: 500 }));
+    }
+    if (!tables.has('name')) tables.set('name', buildName(name));
+    if (!tables.has('post')) tables.set('post', buildPost());
+    return writeSfnt(font.version === 0x4F54544F ? 0x4F54544F : 0x00010000, tables);
+  }
+
+  // An OpenType (CFF flavoured) font around a bare CFF program. advances
+  // are the glyph widths in font units (glyph id -> width).
+  function wrapCff(bytes, cff, charToGid, { name = 'PDF font', advances = new Map(), ascent, descent } = {}) {
+    const unitsPerEm = Math.round(1 / (cff.fontMatrix[0] || 0.001)) || 1000;
+    const [xMin, yMin, xMax, yMax] = cff.bbox.map(Math.round);
+    const asc = Math.round(ascent !== undefined ? ascent : yMax);
+    const desc = Math.round(descent !== undefined ? descent : yMin);
+    const widths = [];
+    for (let gid = 0; gid < cff.numGlyphs; gid++) widths.push(Math.max(0, Math.round(advances.get(gid) || 0)));
+    const maxWidth = Math.max(0, ...widths);
+    const tables = new Map();
+    tables.set('CFF ', bytes);
+    tables.set('cmap', buildCmap(charToGid));
+    tables.set('head', new Uint8Array([
+      ...u32(0x00010000), ...u32(0x00010000), ...u32(0), ...u32(0x5F0F3CF5), ...u16(0x000B), ...u16(unitsPerEm),
+      ...new Array(16).fill(0), ...u16(xMin & 0xffff), ...u16(yMin & 0xffff), ...u16(xMax & 0xffff), ...u16(yMax & 0xffff),
+      ...u16(0), ...u16(3), ...u16(2), ...u16(0), ...u16(0)
+    ]));
+    tables.set('hhea', new Uint8Array([
+      ...u32(0x00010000), ...u16(asc & 0xffff), ...u16(desc & 0xffff), ...u16(0), ...u16(maxWidth),
+      ...u16(0), ...u16(0), ...u16(xMax & 0xffff), ...u16(1), ...u16(0), ...u16(0),
+      ...new Array(8).fill(0), ...u16(0), ...u16(cff.numGlyphs)
+    ]));
+    tables.set('hmtx', new Uint8Array(widths.flatMap(w => [...u16(w), 0, 0])));
+    tables.set('maxp', new Uint8Array([...u32(0x00005000), ...u16(cff.numGlyphs)]));
+    const [firstChar, lastChar] = charRange(charToGid);
+    const avgWidth = widths.length ? Math.round(widths.reduce((a, b) => a + b, 0) / widths.length) : 0;
+    tables.set('OS/2', buildOs2({ ascent: asc, descent: desc, firstChar, lastChar, avgWidth }));
+    tables.set('name', buildName(name));
+    tables.set('post', buildPost());
+    return writeSfnt(0x4F54544F, tables);
+  }
+
+  PDFSfnt.parseTrueType = parseTrueType;
+  PDFSfnt.findCmap = findCmap;
+  PDFSfnt.parseCff = parseCff;
+  PDFSfnt.buildTrueType = buildTrueType;
+  PDFSfnt.wrapCff = wrapCff;
+  PDFSfnt.writeSfnt = writeSfnt;
+  PDFSfnt.STANDARD_STRINGS = STANDARD_STRINGS;
+
+  global.PDFSfnt = PDFSfnt;
+
+})(typeof window !== 'undefined' ? window : globalThis);
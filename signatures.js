@@ -0,0 +1,268 @@
+
+/*!
+ * signatures.js — reads PDF signature blobs and checks what they cover
+ * Load after security.js; it exposes PDFSignatures on window (or globalThis).
+ *
+ * A small DER/BER reader is enough for the CMS SignedData that
+ * /adbe.pkcs7.detached, /adbe.pkcs7.sha1 and /ETSI.CAdES.detached
+ * signatures carry: digest algorithm, signed attributes and certificates.
+ * The signature value itself is not verified, only the message digest.
+ *
+ * Usage:
+ *    const cms = PDFSignatures.parseCms(contentsBytes);
+ *    cms.signer;            // { subject, issuer, serial, notBefore, notAfter }
+ *    const check = await PDFSignatures.checkByteRange(fileBytes, [0, a, b, c], cms, subFilter);
+ *    check.matches;         // digest over the covered bytes equals the signed one
+ */
+(function (global) {
+  const PDFSignatures = {};
+
+  // ---- ASN.1 ----
+  // A node: { tag, constructed, start, contentStart, contentEnd, end, children }.
+  // Indefinite lengths (BER, used by some signers) end at a 00 00 marker.
+  function parseDer(bytes, pos = 0, limit = bytes.length) {
+    if (pos + 2 > limit) throw new Error(`Malformed DER at offset ${pos}`);
+    const tag = bytes[pos];
+    if ((tag & 0x1F) === 0x1F) throw new Error(`Unsupported multi-byte DER tag at offset ${pos}`);
+    const constructed = !!(tag & 0x20);
+    let len = bytes[pos + 1];
+    let contentStart = pos + 2;
+    const node = { tag, constructed, start: pos, contentStart, contentEnd: 0, end: 0, children: null };
+    if (len === 0x80) {
+      if (!constructed) throw new Error(`Indefinite length on a primitive at offset ${pos}`);
+      node.children = [];
+      let p = contentStart;
+      while (!(bytes[p] === 0 && bytes[p + 1] === 0)) {
+        if (p + 2 > limit) throw new Error(`Unterminated indefinite length at offset ${pos}`);
+        const child = parseDer(bytes, p, limit);
+        node.children.push(child);
+        p = child.end;
+      }
+      node.contentEnd = p;
+      node.end = p + 2;
+      return node;
+    }
+    if (len & 0x80) {
+      const n = len & 0x7F;
+      if (n > 4) throw new Error(`DER length too large at offset ${pos}`);
+      len = 0;
+      for (let i = 0; i < n; i++) len = len * 256 + bytes[pos + 2 + i];
+      contentStart += n;
+    }
+    node.contentStart = contentStart;
+    node.contentEnd = contentStart + len;
+    node.end = node.contentEnd;
+    if (node.end > limit) throw new Error(`DER value at offset ${pos} runs past its container`);
+    if (constructed) {
+      node.children = [];
+      for (let p = contentStart; p < node.contentEnd;) {
+        const child = parseDer(bytes, p, node.contentEnd);
+        node.children.push(child);
+        p = child.end;
+      }
+    }
+    return node;
+  }
+
+  const content = (bytes, node) => bytes.subarray(node.contentStart, node.contentEnd);
+
+  function toHex(bytes) {
+    let out = '';
+    for (const b of bytes) out += b.toString(16).padStart(2, '0');
+    return out;
+  }
+
+  function oidString(bytes) {
+    if (!bytes.length) return '';
+    const parts = [Math.min(2, Math.floor(bytes[0] / 40)), bytes[0] - Math.min(2, Math.floor(bytes[0] / 40)) * 40];
+    let v = 0;
+    for (let i = 1; i < bytes.length; i++) {
+      v = v * 128 + (bytes[i] & 0x7F);
+      if (!(bytes[i] & 0x80)) { parts.push(v); v = 0; }
+    }
+    return parts.join('.');
+  }
+
+  // Primitive content, or a constructed (BER) string's pieces joined.
+  function octets(bytes, node) {
+    if (!node.constructed) return content(bytes, node);
+    const parts = node.children.map(c => octets(bytes, c));
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) { out.set(p, o); o += p.length; }
+    return out;
+  }
+
+  function stringValue(bytes, node) {
+    const data = octets(bytes, node);
+    switch (node.tag & 0x1F) {
+      case 12: return new TextDecoder().decode(data);                  // UTF8String
+      case 30: return new TextDecoder('utf-16be').decode(data);        // BMPString
+      case 28: {                                                       // UniversalString
+        let s = '';
+        for (let i = 0; i + 3 < data.length; i += 4) s += String.fromCodePoint(((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0);
+        return s;
+      }
+      default: return String.fromCharCode(...data);                    // Printable, IA5, T61...
+    }
+  }
+
+  // UTCTime (YY < 50 is 20YY) or GeneralizedTime, as a Date.
+  function timeValue(bytes, node) {
+    const s = String.fromCharCode(...content(bytes, node));
+    const m = (node.tag === 0x17 ? s.replace(/^(\d\d)/, (_, y) => (+y < 50 ? '20' : '19') + y) : s)
+      .match(/^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)?(?:\.\d+)?(Z|[+-]\d{4})?$/);
+    if (!m) return null;
+    let t = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+    if (m[7] && m[7] !== 'Z') t -= (m[7][0] === '+' ? 1 : -1) * (+m[7].slice(1, 3) * 60 + +m[7].slice(3)) * 60000;
+    return new Date(t);
+  }
+
+  const NAME_ATTRIBUTES = {
+    '2.5.4.3': 'CN', '2.5.4.4': 'SN', '2.5.4.5': 'SERIALNUMBER', '2.5.4.6': 'C', '2.5.4.7': 'L', '2.5.4.8': 'ST',
+    '2.5.4.10': 'O', '2.5.4.11': 'OU', '2.5.4.12': 'T', '2.5.4.42': 'GN', '2.5.4.97': 'organizationIdentifier',
+    '1.2.840.113549.1.9.1': 'E'
+  };
+
+  // An X.501 Name as "C=DE, O=Example, CN=Jane Doe" (in certificate order).
+  function nameString(bytes, node) {
+    const parts = [];
+    for (const rdn of node.children || []) {
+      for (const atv of rdn.children || []) {
+        const [type, value] = atv.children || [];
+        if (!type || !value) continue;
+        const oid = oidString(content(bytes, type));
+        parts.push(`${NAME_ATTRIBUTES[oid] || oid}=${stringValue(bytes, value)}`);
+      }
+    }
+    return parts.join(', ');
+  }
+
+  const DIGESTS = {
+    '1.2.840.113549.2.5': 'MD5',
+    '1.3.14.3.2.26': 'SHA-1',
+    '2.16.840.1.101.3.4.2.1': 'SHA-256',
+    '2.16.840.1.101.3.4.2.2': 'SHA-384',
+    '2.16.840.1.101.3.4.2.3': 'SHA-512'
+  };
+  const OID_SIGNED_DATA = '1.2.840.113549.1.7.2';
+  const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+  const OID_SIGNING_TIME = '1.2.840.113549.1.9.5';
+
+  // ---- CMS ----
+  function parseCertificate(bytes, node) {
+    const tbs = node.children[0].children;
+    const i = tbs[0].tag === 0xA0 ? 1 : 0; // explicit version
+    const [serial, , issuer, validity, subject] = tbs.slice(i);
+    return {
+      subject: nameString(bytes, subject),
+      issuer: nameString(bytes, issuer),
+      serial: toHex(content(bytes, serial)),
+      notBefore: timeValue(bytes, validity.children[0]),
+      notAfter: timeValue(bytes, validity.children[1]),
+      issuerDer: toHex(bytes.subarray(issuer.start, issuer.end))
+    };
+  }
+
+  /**
+   * CMS SignedData (RFC 5652) from a signature's /Contents bytes, with
+   * any zero padding after it ignored: { digestAlgorithm, messageDigest,
+   * signingTime, eContent, certificates, signer }. Throws on data that is
+   * not SignedData.
+   */
+  PDFSignatures.parseCms = function (bytes) {
+    const root = parseDer(bytes, 0, bytes.length);
+    const [type, wrapped] = root.children || [];
+    if (!type || oidString(content(bytes, type)) !== OID_SIGNED_DATA || !wrapped) {
+      throw new Error('Not a CMS SignedData structure');
+    }
+    const parts = wrapped.children[0].children;
+    const encap = parts[2];
+    const eContent = encap.children[1] ? octets(bytes, encap.children[1].children[0]) : null;
+    const certificates = [];
+    for (const part of parts.slice(3)) {
+      if (part.tag !== 0xA0) continue;
+      for (const cert of part.children) {
+        if (cert.tag !== 0x30) continue;
+        try { certificates.push(parseCertificate(bytes, cert)); } catch { /* not an X.509 certificate */ }
+      }
+    }
+    const signerInfos = parts[parts.length - 1];
+    const info = signerInfos.children && signerInfos.children[0];
+    const result = {
+      digestAlgorithm: null, messageDigest: null, signingTime: null, eContent,
+      certificates: certificates.map(({ issuerDer, ...c }) => c), signer: null
+    };
+    if (!info) return result;
+    const [, sid, digestAlg, maybeAttrs] = info.children;
+    const digestOid = oidString(content(bytes, digestAlg.children[0]));
+    result.digestAlgorithm = DIGESTS[digestOid] || digestOid;
+    if (maybeAttrs && maybeAttrs.tag === 0xA0) {
+      for (const attr of maybeAttrs.children) {
+        const oid = oidString(content(bytes, attr.children[0]));
+        const value = attr.children[1].children[0];
+        if (oid === OID_MESSAGE_DIGEST) result.messageDigest = content(bytes, value).slice();
+        else if (oid === OID_SIGNING_TIME) result.signingTime = timeValue(bytes, value);
+      }
+    }
+    // The signer is named by issuer and serial number; fall back to the
+    // first certificate for a subjectKeyIdentifier.
+    let signer = certificates[0] || null;
+    if (sid.tag === 0x30) {
+      const issuer = toHex(bytes.subarray(sid.children[0].start, sid.children[0].end));
+      const serial = toHex(content(bytes, sid.children[1]));
+      signer = certificates.find(c => c.issuerDer === issuer && c.serial === serial) || signer;
+    }
+    if (signer) {
+      const { issuerDer, ...rest } = signer;
+      result.signer = rest;
+    }
+    return result;
+  };
+
+  // ---- digests ----
+  /** Digest of bytes by WebCrypto name; MD5 and SHA-2 also work without WebCrypto. */
+  PDFSignatures.digest = async function (algorithm, data) {
+    const subtle = global.crypto && global.crypto.subtle;
+    if (subtle && algorithm !== 'MD5') return new Uint8Array(await subtle.digest(algorithm, data));
+    const fallback = { 'MD5': 'md5', 'SHA-256': 'sha256', 'SHA-384': 'sha384', 'SHA-512': 'sha512' }[algorithm];
+    if (!fallback || !global.PDFSecurity) throw new Error(`No ${algorithm} digest available here`);
+    return global.PDFSecurity[fallback](data);
+  };
+
+  /**
+   * Recompute the digest over the bytes a /ByteRange covers and compare
+   * it with the signed one: the messageDigest attribute, or for
+   * /adbe.pkcs7.sha1 the SHA-1 digest carried as the signed content.
+   * Resolves { algorithm, expected, actual, matches } with hex digests;
+   * matches is null when there is nothing to compare with.
+   */
+  PDFSignatures.checkByteRange = async function (fileBytes, byteRange, cms, subFilter) {
+    let covered = 0;
+    for (let i = 1; i < byteRange.length; i += 2) covered += byteRange[i];
+    const data = new Uint8Array(covered);
+    let o = 0;
+    for (let i = 0; i + 1 < byteRange.length; i += 2) {
+      const part = fileBytes.subarray(byteRange[i], byteRange[i] + byteRange[i + 1]);
+      data.set(part, o);
+      o += part.length;
+    }
+    const sha1Content = subFilter === 'adbe.pkcs7.sha1' && cms.eContent;
+    const algorithm = sha1Content ? 'SHA-1' : cms.digestAlgorithm;
+    const expected = sha1Content ? cms.eContent : cms.messageDigest;
+    const actual = await PDFSignatures.digest(algorithm, data.subarray(0, o));
+    return {
+      algorithm,
+      expected: expected ? toHex(expected) : null,
+      actual: toHex(actual),
+      matches: expected ? toHex(expected) === toHex(actual) : null
+    };
+  };
+
+  PDFSignatures.parseDer = parseDer;
+  PDFSignatures.oidString = oidString;
+  PDFSignatures.toHex = toHex;
+
+  global.PDFSignatures = PDFSignatures;
+
+})(typeof window !== 'undefined' ? window : globalThis);
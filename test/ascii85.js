@@ -0,0 +1,16 @@
+// Checks that ASCII85Decode in filters.js keeps every byte of 'z' runs.
+// Run with: node test/ascii85.js
+const assert = require('assert');
+require('../filters.js');
+const F = globalThis.PDFFilters;
+
+const a85 = text => F.decode(F.latin1ToBytes(text), ['ASCII85Decode'], [null]).bytes;
+
+const zeros = a85('<~zzzzzzzzzz~>');
+assert.strictEqual(zeros.length, 40, 'ten z make forty bytes');
+assert.ok(zeros.every(b => b === 0), 'z decodes to zeros');
+
+const mixed = a85('z87cURzzDZ~>');
+assert.strictEqual(F.bytesToLatin1(mixed), '\0\0\0\0Hell\0\0\0\0\0\0\0\0o', 'z between groups and a partial tail');
+
+console.log('ASCII85 checks passed');
@@ -0,0 +1,51 @@
+// Checks the OS/2 table sfnt.js writes for wrapped CFF and for TrueType
+// programs that lack one. Run with: node test/sfnt-os2.js
+const assert = require('assert');
+require('../sfnt.js');
+const S = globalThis.PDFSfnt;
+
+const u16 = n => [(n >> 8) & 255, n & 255];
+const u32 = n => [(n >>> 24) & 255, (n >> 16) & 255, (n >> 8) & 255, n & 255];
+const s16 = (t, pos) => ((t[pos] << 24) | (t[pos + 1] << 16)) >> 16;
+
+function checkOs2(font, { ascent, descent, firstChar, lastChar }) {
+  const os2 = S.parseTrueType(font).tables.get('OS/2');
+  assert.strictEqual(os2.length, 96, 'OS/2 version 3 is 96 bytes');
+  assert.strictEqual(String.fromCharCode(...os2.subarray(58, 62)), 'PDF ', 'achVendID');
+  assert.strictEqual((os2[64] << 8) | os2[65], firstChar, 'usFirstCharIndex');
+  assert.strictEqual((os2[66] << 8) | os2[67], lastChar, 'usLastCharIndex');
+  assert.strictEqual(s16(os2, 68), ascent, 'sTypoAscender');
+  assert.strictEqual(s16(os2, 70), descent, 'sTypoDescender');
+  assert.strictEqual((os2[74] << 8) | os2[75], ascent, 'usWinAscent');
+  assert.strictEqual((os2[76] << 8) | os2[77], -descent, 'usWinDescent');
+}
+
+// Bare CFF with two glyphs (.notdef and "A") and no Private entries.
+function tinyCff() {
+  const index = items => [0, items.length, 1, 1, ...items.reduce((o, it) => [...o, o[o.length - 1] + it.length], [1]).slice(1), ...items.flat()];
+  const i29 = n => [29, ...u32(n)];
+  const top = offsets => [...i29(offsets.charset), 15, ...i29(offsets.charStrings), 17, ...i29(0), ...i29(offsets.charStrings), 18];
+  const head = [1, 0, 4, 1, ...index([[70]])];
+  const before = head.length + index([top({ charset: 0, charStrings: 0 })]).length + 4;
+  const charset = [0, ...u16(34)];
+  const offsets = { charset: before, charStrings: before + charset.length };
+  return new Uint8Array([...head, ...index([top(offsets)]), 0, 0, 0, 0, ...charset, ...index([[14], [139, 14]])]);
+}
+
+const cffBytes = tinyCff();
+const cff = S.parseCff(cffBytes);
+checkOs2(S.wrapCff(cffBytes, cff, new Map([[0x41, 1], [0xe061, 1]]), { name: 'T', ascent: 800, descent: -200 }),
+  { ascent: 800, descent: -200, firstChar: 0x41, lastChar: 0xe061 });
+
+// TrueType subset with only head, hhea, maxp and hmtx.
+const tables = new Map([
+  ['head', new Uint8Array([...u32(0x10000), ...u32(0), ...u32(0), ...u32(0x5F0F3CF5), ...u16(0), ...u16(1000), ...new Array(16).fill(0), ...new Array(8).fill(0), 0, 0, 0, 3, 0, 2, 0, 0, 0, 0])],
+  ['hhea', new Uint8Array([...u32(0x10000), ...u16(900), ...u16(-250 & 0xffff), ...new Array(26).fill(0), ...u16(2)])],
+  ['maxp', new Uint8Array([...u32(0x5000), ...u16(2)])],
+  ['hmtx', new Uint8Array(8)]
+]);
+const tt = S.parseTrueType(S.writeSfnt(0x10000, tables));
+checkOs2(S.buildTrueType(tt, new Map([[0x20, 1], [0x7a, 1]]), { name: 'T' }),
+  { ascent: 900, descent: -250, firstChar: 0x20, lastChar: 0x7a });
+
+console.log('sfnt OS/2 checks passed');
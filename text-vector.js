@@ -1,8 +1,9 @@
 // text-vector.js
 // Updated to integrate font parsing and handling for composite fonts like Type0/CIDFontType2.
-// Includes font.js logic inline for simplicity.
+// Includes font.js logic inline for simplicity; ToUnicode CMaps are parsed by font.js (load it first).
 // Handles hex strings in tokenizer, nested dicts in parser, pre-loads fonts from page resources.
-// Decodes text using ToUnicode for composite fonts, handles TJ with sub-tokens.
+// Decodes text using ToUnicode, or for simple fonts their encoding and /Differences, handles TJ with sub-tokens.
+// Embedded programs of simple fonts are rebuilt by sfnt.js (Type 1 converted by type1.js; load both first) so each code draws its glyph.
 
 (function() {
 
@@ -142,12 +143,16 @@
           j++;
         } else if (valToken.type === 'number') {
           j++;
-          if (j < tokens.length && tokens[j].type === 'number' && j + 1 < tokens.length && tokens[j].value === 'R' && tokens[j+1].type === 'operator') {
+          if (j + 1 < tokens.length && tokens[j].type === 'number' && tokens[j + 1].type === 'operator' && tokens[j + 1].value === 'R') {
             dict.set(key, { type: 'ref', num: valToken.value, gen: tokens[j].value });
             j += 2;
           } else {
             dict.set(key, valToken);
           }
+        } else if (valToken.type === 'name') {
+          // Name values are kept without their slash, like the keys.
+          dict.set(key, { type: 'name', value: valToken.value.slice(1) });
+          j++;
         } else {
           dict.set(key, valToken);
           j++;
@@ -157,50 +162,290 @@
     return dict;
   }
 
-  // Parse CMap
-  function parseCMap(cmapStr) {
-    const charMap = new Map();
-    const lines = cmapStr.split(/\r?\n/);
-    let inBfchar = false;
-    let inBfrange = false;
-    let inCodespace = false;
-    let codeLength = 2;
-    for (let line of lines) {
-      line = line.trim();
-      if (!line) continue;
-      if (line === 'beginbfchar') { inBfchar = true; continue; }
-      if (line === 'endbfchar') { inBfchar = false; continue; }
-      if (line === 'beginbfrange') { inBfrange = true; continue; }
-      if (line === 'endbfrange') { inBfrange = false; continue; }
-      if (line === 'begincodespacerange') { inCodespace = true; continue; }
-      if (line === 'endcodespacerange') { inCodespace = false; continue; }
-      if (inCodespace) {
-        const match = line.match(/<([0-9A-Fa-f]+)> <([0-9A-Fa-f]+)>/);
-        if (match) codeLength = match[1].length / 2;
-      }
-      if (inBfchar) {
-        const match = line.match(/<([0-9A-Fa-f]+)> <([0-9A-Fa-f]+)>/);
-        if (match) charMap.set(parseInt(match[1], 16), String.fromCharCode(parseInt(match[2], 16)));
+  /* ========= Simple font encodings ========= */
+
+  // Code -> character of the base encodings for codes 128-255 (32-126 are
+  // ASCII, except in StandardEncoding). WinAnsi's unused codes show as
+  // bullets; MacRoman follows the PDF table (0xDB is currency).
+  const WIN_ANSI_HIGH = '€•‚ƒ„…†‡ˆ‰Š‹Œ•Ž••‘’“”•–—˜™š›œ•žŸ' +
+    '\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ';
+  const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»…\u00a0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄¤‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uf8ffÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+  const STANDARD_HIGH = {
+    161: '¡', 162: '¢', 163: '£', 164: '⁄', 165: '¥', 166: 'ƒ', 167: '§', 168: '¤', 169: "'", 170: '“',
+    171: '«', 172: '‹', 173: '›', 174: 'ﬁ', 175: 'ﬂ', 177: '–', 178: '†', 179: '‡', 180: '·', 182: '¶',
+    183: '•', 184: '‚', 185: '„', 186: '”', 187: '»', 188: '…', 189: '‰', 191: '¿', 193: '`', 194: '´',
+    195: 'ˆ', 196: '˜', 197: '¯', 198: '˘', 199: '˙', 200: '¨', 202: '˚', 203: '¸', 205: '˝', 206: '˛',
+    207: 'ˇ', 208: '—', 225: 'Æ', 227: 'ª', 232: 'Ł', 233: 'Ø', 234: 'Œ', 235: 'º', 241: 'æ', 245: 'ı',
+    248: 'ł', 249: 'ø', 250: 'œ', 251: 'ß'
+  };
+
+  const baseEncodings = new Map();
+  // Code -> character table of a base encoding name, or null.
+  function baseEncoding(name) {
+    if (baseEncodings.has(name)) return baseEncodings.get(name);
+    let table = null;
+    if (name === 'WinAnsiEncoding' || name === 'MacRomanEncoding' || name === 'StandardEncoding') {
+      table = new Array(256).fill(null);
+      for (let code = 32; code < 127; code++) table[code] = String.fromCharCode(code);
+      if (name === 'StandardEncoding') {
+        table[39] = '’';
+        table[96] = '‘';
+        for (const code in STANDARD_HIGH) table[code] = STANDARD_HIGH[code];
+      } else {
+        const high = name === 'WinAnsiEncoding' ? WIN_ANSI_HIGH : MAC_ROMAN_HIGH;
+        for (let k = 0; k < 128; k++) table[128 + k] = high[k];
+        if (name === 'WinAnsiEncoding') table[127] = '•';
       }
-      if (inBfrange) {
-        const match = line.match(/<([0-9A-Fa-f]+)> <([0-9A-Fa-f]+)> <([0-9A-Fa-f]+)>/);
-        if (match) {
-          const start = parseInt(match[1], 16);
-          const end = parseInt(match[2], 16);
-          let base = parseInt(match[3], 16);
-          for (let cid = start; cid <= end; cid++) {
-            charMap.set(cid, String.fromCharCode(base++));
-          }
-        }
+    }
+    baseEncodings.set(name, table);
+    return table;
+  }
+
+  // Glyph names of the Adobe Glyph List used by the Latin encodings and
+  // common /Differences. Accented letters (Aacute, scaron, ...) are
+  // composed from the base letter and the accent instead of listed.
+  const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+    period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+    at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+    grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+    exclamdown: '¡', cent: '¢', sterling: '£', currency: '¤', yen: '¥', brokenbar: '¦', section: '§',
+    dieresis: '¨', copyright: '©', ordfeminine: 'ª', guillemotleft: '«', logicalnot: '¬', sfthyphen: '\u00ad',
+    registered: '®', macron: '¯', degree: '°', plusminus: '±', twosuperior: '²', threesuperior: '³',
+    acute: '´', mu: 'µ', paragraph: '¶', periodcentered: '·', cedilla: '¸', onesuperior: '¹',
+    ordmasculine: 'º', guillemotright: '»', onequarter: '¼', onehalf: '½', threequarters: '¾',
+    questiondown: '¿', AE: 'Æ', Eth: 'Ð', multiply: '×', Oslash: 'Ø', Thorn: 'Þ', germandbls: 'ß',
+    ae: 'æ', eth: 'ð', divide: '÷', oslash: 'ø', thorn: 'þ', dotlessi: 'ı', Lslash: 'Ł', lslash: 'ł',
+    OE: 'Œ', oe: 'œ', florin: 'ƒ', circumflex: 'ˆ', caron: 'ˇ', breve: '˘', dotaccent: '˙', ring: '˚',
+    ogonek: '˛', tilde: '˜', hungarumlaut: '˝', endash: '–', emdash: '—', quoteleft: '‘', quoteright: '’',
+    quotesinglbase: '‚', quotedblleft: '“', quotedblright: '”', quotedblbase: '„', dagger: '†',
+    daggerdbl: '‡', bullet: '•', ellipsis: '…', perthousand: '‰', guilsinglleft: '‹', guilsinglright: '›',
+    fraction: '⁄', Euro: '€', trademark: '™', minus: '−', fi: 'ﬁ', fl: 'ﬂ', ff: 'ﬀ', ffi: 'ﬃ', ffl: 'ﬄ',
+    notequal: '≠', infinity: '∞', lessequal: '≤', greaterequal: '≥', partialdiff: '∂', summation: '∑',
+    product: '∏', pi: 'π', integral: '∫', Omega: 'Ω', radical: '√', approxequal: '≈', Delta: '∆',
+    lozenge: '◊', nbspace: '\u00a0', nonbreakingspace: '\u00a0', Dcroat: 'Đ', dcroat: 'đ', Hbar: 'Ħ',
+    hbar: 'ħ', IJ: 'Ĳ', ij: 'ĳ', Eng: 'Ŋ', eng: 'ŋ', Ldot: 'Ŀ', ldot: 'ŀ', napostrophe: 'ŉ',
+    kgreenlandic: 'ĸ', Tbar: 'Ŧ', tbar: 'ŧ'
+  };
+  ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'].forEach((name, d) => { GLYPH_NAMES[name] = String(d); });
+  const ACCENTS = {
+    grave: '\u0300', acute: '\u0301', circumflex: '\u0302', tilde: '\u0303', macron: '\u0304', breve: '\u0306',
+    dotaccent: '\u0307', dieresis: '\u0308', ring: '\u030a', hungarumlaut: '\u030b', caron: '\u030c',
+    commaaccent: '\u0326', cedilla: '\u0327', ogonek: '\u0328'
+  };
+
+  // Text of a glyph name (AGL rules: suffixes after "." dropped, "_"
+  // joins components, uniXXXX and uXXXX[XX] give code points), or null.
+  function glyphNameToUnicode(name) {
+    if (Object.prototype.hasOwnProperty.call(GLYPH_NAMES, name)) return GLYPH_NAMES[name];
+    const dot = name.indexOf('.');
+    if (dot > 0) return glyphNameToUnicode(name.slice(0, dot));
+    if (dot === 0) return null;
+    if (name.includes('_')) {
+      const parts = name.split('_').map(glyphNameToUnicode);
+      return parts.every(part => part !== null) ? parts.join('') : null;
+    }
+    let m = /^uni((?:[0-9A-F]{4})+)$/.exec(name);
+    if (m) return m[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+    m = /^u([0-9A-F]{4,6})$/.exec(name);
+    if (m) {
+      const cp = parseInt(m[1], 16);
+      return cp <= 0x10ffff ? String.fromCodePoint(cp) : null;
+    }
+    if (/^[A-Za-z]$/.test(name)) return name;
+    m = /^([A-Za-z])([a-z]+)$/.exec(name);
+    if (m && ACCENTS[m[2]]) {
+      const composed = (m[1] + ACCENTS[m[2]]).normalize('NFC');
+      if (composed.length === 1) return composed;
+    }
+    return null;
+  }
+
+  // Code -> character table of a simple font: the base encoding (the
+  // font's /Encoding name or dictionary /BaseEncoding, else Standard for
+  // non-symbolic fonts) with /Differences applied. Codes left null fall
+  // back to the code itself. explicit tells whether the PDF named a base
+  // encoding rather than leaving it to the font program.
+  function simpleFontEncoding(fontDict, fdDict, objects) {
+    const encVal = fontDict.get('Encoding');
+    const encDict = encVal && encVal.type !== 'name' ? resolveDictValue(encVal, objects) : null;
+    let baseName = encVal && encVal.type === 'name' ? encVal.value : encDict?.get('BaseEncoding')?.value;
+    const symbolic = ((fdDict?.get('Flags')?.value || 0) & 4) !== 0 || /^(Symbol|ZapfDingbats)/.test(fontDict.get('BaseFont')?.value || '');
+    if (!baseName && !symbolic) baseName = 'StandardEncoding';
+    const table = (baseEncoding(baseName) || new Array(256).fill(null)).slice();
+    const differences = new Map();
+    const diffTokens = encDict ? resolveArrayValue(encDict.get('Differences'), objects) : null;
+    let code = 0;
+    for (const tok of diffTokens || []) {
+      if (tok.type === 'number') code = tok.value;
+      else if (tok.type === 'name' && code < 256) {
+        differences.set(code, tok.value.slice(1));
+        table[code++] = glyphNameToUnicode(tok.value.slice(1));
       }
     }
+    return { table, differences, symbolic, explicit: !!(encVal && (encVal.type === 'name' || encDict?.has('BaseEncoding'))) };
+  }
+
+  // ToUnicode CMap, parsed by font.js. Codes it has no entry for are
+  // left to the font's encoding.
+  function parseToUnicode(cmapStr) {
+    const { map, bytesPerChar } = PDFEmbeddedFonts.parseToUnicodeCMap(cmapStr);
     return {
-      map: charMap,
-      codeLength,
-      getUnicode: function(cid) { return this.map.get(cid) || '\ufffd'; }
+      map,
+      codeLength: bytesPerChar,
+      has(code) { return code in this.map; },
+      getUnicode(code) { return code in this.map ? this.map[code] : '\ufffd'; }
     };
   }
 
+  /* ========= Embedded programs of simple fonts ========= */
+
+  let glyphNamesByChar = null;
+  // Glyph names a character may have in a font program, most likely first.
+  function glyphNamesFor(ch) {
+    if (!glyphNamesByChar) {
+      glyphNamesByChar = new Map();
+      for (const name in GLYPH_NAMES) {
+        if (!glyphNamesByChar.has(GLYPH_NAMES[name])) glyphNamesByChar.set(GLYPH_NAMES[name], name);
+      }
+    }
+    const names = [];
+    const parts = ch.normalize('NFD');
+    const accent = parts.length === 2 && Object.keys(ACCENTS).find(a => ACCENTS[a] === parts[1]);
+    if (glyphNamesByChar.has(ch)) names.push(glyphNamesByChar.get(ch));
+    else if (/^[A-Za-z]$/.test(ch)) names.push(ch);
+    else if (accent && /^[A-Za-z]$/.test(parts[0])) names.push(parts[0] + accent);
+    const cp = ch.codePointAt(0);
+    const hex = cp.toString(16).toUpperCase().padStart(4, '0');
+    names.push(cp > 0xffff ? `u${hex}` : `uni${hex}`);
+    return names;
+  }
+
+  // Code of a character in MacRomanEncoding, or null.
+  function macRomanCode(ch) {
+    const code = ch.charCodeAt(0);
+    if (ch.length === 1 && code >= 32 && code < 127) return code;
+    const k = MAC_ROMAN_HIGH.indexOf(ch);
+    return k === -1 ? null : 128 + k;
+  }
+
+  // Glyph id of each code in a TrueType program (PDF 9.6.6.4): the
+  // encoding's character in the (3,1) cmap or its MacRoman code in (1,0)
+  // for non-symbolic fonts; the code itself in (3,0), where it may sit
+  // at 0xF000, 0xF100 or 0xF200 up, or in (1,0) for symbolic ones.
+  function trueTypeGlyphs(tt, table, symbolic) {
+    const unicodeCmap = PDFSfnt.findCmap(tt, 3, 1);
+    const symbolCmap = PDFSfnt.findCmap(tt, 3, 0);
+    const macCmap = PDFSfnt.findCmap(tt, 1, 0);
+    const gids = new Array(256).fill(0);
+    for (let code = 0; code < 256; code++) {
+      const ch = table[code];
+      let gid = 0;
+      if (ch && unicodeCmap && (!symbolic || !symbolCmap)) gid = unicodeCmap.lookup(ch.codePointAt(0));
+      if (!gid && ch && !symbolic && macCmap && macRomanCode(ch) !== null) gid = macCmap.lookup(macRomanCode(ch));
+      for (const high of [0, 0xf000, 0xf100, 0xf200]) {
+        if (!gid && symbolCmap) gid = symbolCmap.lookup(high + code);
+      }
+      if (!gid && macCmap) gid = macCmap.lookup(code);
+      if (!gid && unicodeCmap) gid = unicodeCmap.lookup(code);
+      if (!gid && !tt.cmaps.length) gid = code;
+      gids[code] = gid < tt.numGlyphs ? gid : 0;
+    }
+    return gids;
+  }
+
+  // Glyph id of each code in a CFF program: by glyph name through the
+  // charset for /Differences and explicit base encodings, else through
+  // the program's built-in encoding. A /Differences name the program
+  // lacks draws .notdef (PDF 9.6.6), not the built-in encoding's glyph.
+  function cffGlyphs(cff, { table, differences, explicit }) {
+    const gids = new Array(256).fill(0);
+    for (let code = 0; code < 256; code++) {
+      const names = differences.has(code) ? [differences.get(code)] : [];
+      if (table[code]) names.push(...glyphNamesFor(table[code]));
+      const byName = () => names.map(n => cff.nameToGid.get(n)).find(Boolean) || 0;
+      let gid = 0;
+      if (differences.has(code)) gid = byName();
+      else {
+        if (explicit) gid = byName();
+        if (!gid) gid = cff.encoding.get(code) || 0;
+        if (!gid) gid = byName();
+      }
+      gids[code] = gid < cff.numGlyphs ? gid : 0;
+    }
+    return gids;
+  }
+
+  let embeddedFontCount = 0;
+  // Installs the embedded program of a simple font (FontFile2, FontFile3
+  // /Type1C and /OpenType, or FontFile converted to CFF by type1.js),
+  // rebuilt so each code's text (ToUnicode, encoding, else the code)
+  // selects its glyph. Text that is longer than one character, already
+  // taken by another glyph or not drawable goes to the private use area
+  // (U+E000 + code) instead.
+  // Returns { family, chars } with chars[code] the character to draw,
+  // null for codes without a glyph; null when there is no usable program.
+  function embedSimpleFont(name, fdDict, enc, toUnicode, widths, objects) {
+    if (!fdDict || typeof PDFSfnt === 'undefined') return null;
+    const key = ['FontFile2', 'FontFile3', 'FontFile'].find(k => fdDict.get(k)?.type === 'ref');
+    if (!key) return null;
+    const ref = fdDict.get(key);
+    const fileObj = objects.get(`${ref.num} ${ref.gen}`);
+    if (!fileObj || !fileObj.decoded) return null;
+    const fileDict = parseDictTokens(tokenizeDict(fileObj.dict || ''));
+    const fileSubtype = key === 'FontFile3' ? fileDict.get('Subtype')?.value : null;
+    const isCff = fileSubtype === 'Type1C' || key === 'FontFile';
+    if (key === 'FontFile3' && !isCff && fileSubtype !== 'OpenType') return null;
+    if (key === 'FontFile' && typeof PDFType1 === 'undefined') return null;
+    let bytes = latin1Bytes(fileObj.decoded);
+    // Indirect /Length1 and /Length2 are left out; the converter then
+    // finds the encrypted part by its eexec keyword.
+    if (key === 'FontFile') {
+      const length = name => (fileDict.get(name)?.type === 'number' ? fileDict.get(name).value : undefined);
+      bytes = PDFType1.convert(bytes, { length1: length('Length1'), length2: length('Length2') }).cff;
+    }
+    const program = isCff ? PDFSfnt.parseCff(bytes) : PDFSfnt.parseTrueType(bytes);
+    const gids = isCff ? cffGlyphs(program, enc) : trueTypeGlyphs(program, enc.table, enc.symbolic);
+
+    const chars = new Array(256).fill(null);
+    const charToGid = new Map();
+    for (let code = 0; code < 256; code++) {
+      if (!gids[code]) continue;
+      let ch = toUnicode && toUnicode.has(code) ? toUnicode.map[code] : enc.table[code];
+      if (ch === null || ch === undefined) ch = String.fromCharCode(code);
+      const cp = ch && ch.length === 1 ? ch.charCodeAt(0) : -1;
+      if (cp < 0x20 || cp > 0xfffd || /[\p{M}\p{C}]/u.test(ch) || (charToGid.has(cp) && charToGid.get(cp) !== gids[code])) {
+        ch = String.fromCharCode(0xe000 + code);
+      }
+      chars[code] = ch;
+      charToGid.set(ch.charCodeAt(0), gids[code]);
+    }
+    if (!charToGid.size) return null;
+
+    const family = `pdf-font-${++embeddedFontCount}`;
+    let sfnt, mime = 'font/ttf';
+    if (isCff) {
+      const scale = 1 / (program.fontMatrix[0] || 0.001) / 1000;
+      const advances = new Map();
+      widths.forEach((w, code) => { if (gids[code]) advances.set(gids[code], w * scale); });
+      const ascent = fdDict.get('Ascent')?.value, descent = fdDict.get('Descent')?.value;
+      sfnt = PDFSfnt.wrapCff(bytes, program, charToGid, {
+        name,
+        advances,
+        ascent: ascent !== undefined ? ascent * scale : undefined,
+        descent: descent !== undefined ? descent * scale : undefined
+      });
+      mime = 'font/otf';
+    } else {
+      sfnt = PDFSfnt.buildTrueType(program, charToGid, { name });
+      if (program.tables.has('CFF ')) mime = 'font/otf';
+    }
+    PDFEmbeddedFonts.installEmbeddedFontCssBlob(family, sfnt, mime);
+    return { family, chars };
+  }
+
   // Parse widths
   function parseWidths(wArrayTokens) {
     const widths = new Map();
@@ -226,6 +471,80 @@
     return widths;
   }
 
+  // Object records keep stream data as a latin1 string.
+  function latin1Bytes(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let k = 0; k < str.length; k++) bytes[k] = str.charCodeAt(k) & 0xff;
+    return bytes;
+  }
+
+  // Parsed dictionary of a dict value, or of the object a ref points to.
+  function resolveDictValue(val, objects) {
+    if (!val) return null;
+    if (val.type === 'dict') return val.value;
+    if (val.type !== 'ref') return null;
+    const obj = objects.get(`${val.num} ${val.gen}`);
+    return obj && obj.dict ? parseDictTokens(tokenizeDict(obj.dict)) : null;
+  }
+
+  // Item tokens of an array value, or of an array object (/Widths 12 0 R).
+  function resolveArrayValue(val, objects) {
+    if (!val) return null;
+    if (val.type === 'array') return val.value;
+    if (val.type !== 'ref') return null;
+    const obj = objects.get(`${val.num} ${val.gen}`);
+    const m = obj && /\[[\s\S]*\]/.exec(obj.raw.replace(/^\s*\d+\s+\d+\s+obj/, ''));
+    const tokens = m ? tokenizeDict(m[0]) : [];
+    return tokens.length && tokens[0].type === 'array' ? tokens[0].value : null;
+  }
+
+  // Widths (1/1000 em) of the standard 14 fonts for codes 32-126, used when
+  // a simple font has no /Widths. Oblique and Arial faces share Helvetica's
+  // metrics; the other Times faces are approximated by Times-Roman.
+  const STANDARD_WIDTHS = {
+    Helvetica: [
+      278, 278, 355, 556, 556, 889, 667, 222, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      222, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    'Helvetica-Bold': [
+      278, 333, 474, 556, 556, 889, 722, 278, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      278, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ],
+    'Times-Roman': [
+      250, 333, 408, 500, 500, 833, 778, 333, 333, 333, 500, 564, 250, 333, 250, 278,
+      500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+      921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+      556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+      333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+      500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+    ]
+  };
+
+  function standardWidths(fontName) {
+    if (/^Courier/i.test(fontName)) return new Array(95).fill(600);
+    if (/^(Helvetica|Arial)/i.test(fontName)) return STANDARD_WIDTHS[/Bold/i.test(fontName) ? 'Helvetica-Bold' : 'Helvetica'];
+    if (/^Times/i.test(fontName)) return STANDARD_WIDTHS['Times-Roman'];
+    return null;
+  }
+
+  // Advance of a character code in 1/1000 em, or null when the font does
+  // not say (no /Widths and not a standard font).
+  function glyphWidth(cachedFont, code) {
+    if (!cachedFont) return null;
+    if (cachedFont.isComposite) return cachedFont.widths.has(code) ? cachedFont.widths.get(code) : cachedFont.dw;
+    if (cachedFont.hasWidths) return (cachedFont.widths.has(code) ? cachedFont.widths.get(code) : cachedFont.missingWidth) * cachedFont.widthScale;
+    const standard = cachedFont.standardWidths;
+    return standard && code >= 32 && code <= 126 ? standard[code - 32] : null;
+  }
+
   // Load font
   async function loadFont(fontRef, objects, fontCache) {
     if (fontCache.has(fontRef)) return fontCache.get(fontRef);
@@ -242,6 +561,8 @@
     let toUnicode = null;
     let widths = new Map();
     let dw = 1000;
+    let hasWidths = false, missingWidth = 0, widthScale = 1;
+    let encoding = null, differences = null, glyphChars = null;
     let codeLength = subtype === 'Type0' ? 2 : 1;
     let isComposite = subtype === 'Type0';
     const tuEntry = fontDict.get('ToUnicode');
@@ -249,8 +570,7 @@
       const tuRef = `${tuEntry.num} ${tuEntry.gen}`;
       const tuObj = objects.get(tuRef);
       if (tuObj && tuObj.decoded) {
-        const cmapStr = new TextDecoder().decode(new Uint8Array(tuObj.decoded));
-        toUnicode = parseCMap(cmapStr);
+        toUnicode = parseToUnicode(tuObj.decoded);
         codeLength = toUnicode.codeLength;
       }
     }
@@ -284,7 +604,7 @@
                     const ffRef = `${ffVal.num} ${ffVal.gen}`;
                     const ffObj = objects.get(ffRef);
                     if (ffObj && ffObj.decoded) {
-                      const fontData = new Uint8Array(ffObj.decoded);
+                      const fontData = latin1Bytes(ffObj.decoded);
                       const blob = new Blob([fontData], { type: `font/${fontFormat}` });
                       fontUrl = URL.createObjectURL(blob);
                       const styleId = `font-${fontRef.replace(' ', '-')}`;
@@ -302,7 +622,38 @@
           }
         }
       }
-    } // Add handling for simple fonts if needed
+    } else {
+      // Simple fonts: /Widths from /FirstChar on, /MissingWidth for the rest.
+      // Type3 widths are in glyph space, scaled by /FontMatrix.
+      const fdDict = resolveDictValue(fontDict.get('FontDescriptor'), objects);
+      const widthTokens = resolveArrayValue(fontDict.get('Widths'), objects);
+      if (widthTokens) {
+        hasWidths = true;
+        const firstChar = fontDict.get('FirstChar')?.value || 0;
+        widthTokens.forEach((wt, n) => {
+          if (wt.type === 'number') widths.set(firstChar + n, wt.value);
+        });
+        missingWidth = fdDict?.get('MissingWidth')?.value || 0;
+        const fontMatrix = fontDict.get('FontMatrix');
+        if (subtype === 'Type3' && fontMatrix && fontMatrix.type === 'array' && fontMatrix.value[0]?.type === 'number') {
+          widthScale = fontMatrix.value[0].value * 1000;
+        }
+      }
+      const enc = simpleFontEncoding(fontDict, fdDict, objects);
+      ({ table: encoding, differences } = enc);
+      codeLength = 1;
+      if (subtype === 'TrueType' || subtype === 'Type1' || subtype === 'MMType1') {
+        try {
+          const embedded = embedSimpleFont(fontFamily, fdDict, enc, toUnicode, widths, objects);
+          if (embedded) {
+            glyphChars = embedded.chars;
+            fontFamily = embedded.family;
+          }
+        } catch (err) {
+          console.warn(`Embedded program of font ${fontRef} not usable: ${err.message}`);
+        }
+      }
+    }
     const cachedFont = {
       fontFamily,
       url: fontUrl,
@@ -310,7 +661,14 @@
       codeLength,
       toUnicode,
       widths,
-      dw
+      dw,
+      hasWidths,
+      missingWidth,
+      widthScale,
+      encoding,
+      differences,
+      glyphChars,
+      standardWidths: hasWidths || isComposite ? null : standardWidths(baseFont.replace(/^[A-Z]{6}\+/, ''))
     };
     fontCache.set(fontRef, cachedFont);
     return cachedFont;
@@ -345,7 +703,8 @@
         else if (n === '(') out += '(';
         else if (n === ')') out += ')';
         else if (n === '\n' || n === '\r') {
-          // skip
+          // line continuation
+          if (n === '\r' && inner[i + 1] === '\n') i++;
         } else out += n;
       } else {
         out += ch;
@@ -355,7 +714,11 @@
   }
 
   /* ========= Text decoding helper ========= */
-  function getTextFromToken(token, cachedFont) {
+  // The character codes of a string operand, each with the text it stands
+  // for (a code can map to several characters, or to none) and the
+  // characters drawn for it, which differ where an embedded program was
+  // rebuilt with a private use character.
+  function getGlyphsFromToken(token, cachedFont) {
     let bytes;
     if (token.type === 'hexstring') {
       bytes = token.bytes;
@@ -366,23 +729,32 @@
         bytes[j] = str.charCodeAt(j) & 0xff;
       }
     } else {
-      return '';
+      return [];
     }
+    const glyphs = [];
     if (cachedFont && cachedFont.isComposite) {
-      let text = '';
       const cl = cachedFont.codeLength;
       for (let j = 0; j < bytes.length; j += cl) {
         let cid = 0;
         for (let k = 0; k < cl; k++) {
           cid = (cid << 8) | (bytes[j + k] || 0);
         }
-        text += cachedFont.toUnicode ? cachedFont.toUnicode.getUnicode(cid) : String.fromCharCode(cid);
+        const text = cachedFont.toUnicode ? cachedFont.toUnicode.getUnicode(cid) : String.fromCharCode(cid);
+        glyphs.push({ code: cid, text, drawn: text });
       }
-      return text;
     } else {
-      // For simple fonts, approximate
-      return String.fromCharCode(...bytes);
+      // Simple fonts: ToUnicode first, then the font's encoding.
+      const toUnicode = cachedFont && cachedFont.toUnicode;
+      const encoding = cachedFont && cachedFont.encoding;
+      for (const code of bytes) {
+        let text = toUnicode && toUnicode.has(code) ? toUnicode.map[code] : encoding && encoding[code];
+        if (text === null || text === undefined) text = String.fromCharCode(code);
+        // An embedded program draws the character it was rebuilt with.
+        const drawn = cachedFont && cachedFont.glyphChars && cachedFont.glyphChars[code];
+        glyphs.push({ code, text, drawn: drawn || text });
+      }
     }
+    return glyphs;
   }
 
   /* ========= Original code with updates ========= */
@@ -427,11 +799,10 @@
         i++;
         while (i < input.length && depth > 0) {
           if (input[i] === '\\') {
+            // Escapes are kept as written and decoded by decodePdfString,
+            // which knows octal codes such as \222.
             if (i + 1 < input.length) {
-              const next = input[i + 1];
-              if (next === '\\') str += '\\';
-              else if (next === 'n') str += '\n';
-              else str += next;
+              str += input[i] + input[i + 1];
               i += 2;
             } else i++;
           } else if (input[i] === '(') {
@@ -484,7 +855,8 @@
         continue;
       }
       let tok = '';
-      while (i < input.length && !/\s/.test(input[i]) && input[i] !== '(' && input[i] !== '[' && input[i] !== '<' && input[i] !== '>') {
+      // A "/" also ends the token: it starts the next name, as in /OC/MC0.
+      while (i < input.length && !/\s/.test(input[i]) && input[i] !== '(' && input[i] !== '[' && input[i] !== '<' && input[i] !== '>' && !(input[i] === '/' && tok)) {
         tok += input[i];
         i++;
       }
@@ -506,8 +878,9 @@
 
   // RenderLayer...
   class RenderLayer {
-    constructor(container, zIndex, pageHeight) {
+    constructor(container, zIndex, pageHeight, oc = '') {
       this.pageHeight = pageHeight;
+      this.oc = oc; // optional content keys of what is drawn now, see renderPage
       this.div = document.createElement('div');
       this.div.className = 'layer';
       this.div.style.zIndex = zIndex;
@@ -546,6 +919,7 @@
         this.segments.push({
           d: this.currentPathData.trim(),
           type,
+          oc: this.oc,
           ...options
         });
       }
@@ -554,12 +928,14 @@
       this.currentPathData = '';
     }
     addTextElement(elem) {
+      if (this.oc) elem.setAttribute('data-oc', this.oc);
       this.textFragment.appendChild(elem);
     }
     renderAll() {
       for (const seg of this.segments) {
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         path.setAttribute('d', seg.d);
+        if (seg.oc) path.setAttribute('data-oc', seg.oc);
         if (seg.type === 'fill') {
           path.setAttribute('fill', seg.color);
           path.setAttribute('stroke', 'none');
@@ -581,7 +957,7 @@
     }
   }
 
-  // removeEmptyLayers, computeContentBBox, updateCanvasScale - same
+  // removeEmptyLayers - same
   function removeEmptyLayers(container) {
     container.querySelectorAll('.layer').forEach(layer => {
       const svg = layer.querySelector('svg');
@@ -589,37 +965,54 @@
     });
   }
 
-  function computeContentBBox(container, defaultWidth, defaultHeight) {
-    const svgs = container.querySelectorAll('.layer svg');
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, ok = false;
-    svgs.forEach(svg => {
-      Array.from(svg.children).forEach(ch => {
-        try {
-          const b = ch.getBBox();
-          if (isFinite(b.x) && isFinite(b.y) && b.width > 0 && b.height > 0) {
-            minX = Math.min(minX, b.x);
-            minY = Math.min(minY, b.y);
-            maxX = Math.max(maxX, b.x + b.width);
-            maxY = Math.max(maxY, b.y + b.height);
-            ok = true;
-          }
-        } catch (e) {}
-      });
-    });
-    return ok ? { x: minX, y: minY, width: maxX - minX, height: maxY - minY } : { x: 0, y: 0, width: defaultWidth, height: defaultHeight };
+  // Source of the value under /key in a dictionary: a reference, or a
+  // << >> dictionary with its nested dictionaries.
+  function entrySource(src, key) {
+    const m = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(src || '');
+    if (!m) return null;
+    const start = m.index + m[0].length;
+    if (!src.startsWith('<<', start)) {
+      const ref = /^\d+\s+\d+\s+R/.exec(src.slice(start));
+      return ref ? ref[0] : null;
+    }
+    let depth = 0;
+    for (let j = start; j < src.length - 1; j++) {
+      if (src[j] === '<' && src[j + 1] === '<') { depth++; j++; }
+      else if (src[j] === '>' && src[j + 1] === '>') {
+        depth--; j++;
+        if (depth === 0) return src.slice(start, j + 1);
+      }
+    }
+    return src.slice(start);
   }
 
-  function updateCanvasScale(container, wrapper, defaultWidth, defaultHeight) {
-    const bbox = computeContentBBox(container, defaultWidth, defaultHeight);
-    const availableWidth = wrapper.clientWidth, availableHeight = wrapper.clientHeight;
-    const margin = 24;
-    const contentW = bbox.width + margin * 2, contentH = bbox.height + margin * 2;
-    const scale = Math.min((availableWidth - 8) / contentW, (availableHeight - 8) / contentH);
-    const translateX = (availableWidth - contentW * scale) / 2 - bbox.x * scale + margin;
-    const translateY = (availableHeight - contentH * scale) / 2 - bbox.y * scale + margin;
-    container.style.transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+  // Names in one category of the page's (or form's) /Resources, e.g.
+  // Properties, mapped to "num gen" keys. /Resources may come from a
+  // /Pages ancestor (page.inherited).
+  function resourceRefs(page, objects, category) {
+    const refs = new Map();
+    if (!page) return refs;
+    const deref = value => {
+      const m = /^(\d+)\s+(\d+)\s+R$/.exec(value || '');
+      if (!m) return value || '';
+      const obj = objects.get(`${m[1]} ${m[2]}`);
+      return obj ? obj.dict || '' : '';
+    };
+    const inherited = page.inherited && page.inherited.Resources;
+    const resources = deref(entrySource(page.dict, 'Resources') || inherited);
+    const entries = deref(entrySource(resources, category));
+    const re = /\/([^\s\/\[\]<>()]+)\s+(\d+)\s+(\d+)\s+R/g;
+    let m;
+    while ((m = re.exec(entries))) refs.set(m[1], `${m[2]} ${m[3]}`);
+    return refs;
   }
 
+  // Fonts parsed by loadFont, per document objects map.
+  const loadedFonts = new WeakMap();
+
+  // Ids of text clipping paths, unique across rendered pages.
+  let textClipCount = 0;
+
   // renderImage - same, can be updated similarly for resource resolution if needed
   async function renderImage(opts, xref, container, x, y, width, height) {
     const { xrefEntries, objects, fileBytes } = opts;
@@ -650,54 +1043,30 @@
   // renderPage updated
   async function renderPage(opts, outputContainer, viewportWrapper) {
     const content = opts.content || '';
-    const pageWidth = Math.max(1, Math.floor(opts.width || 612));
     const pageHeight = Math.max(1, Math.floor(opts.height || 792));
-    const fontCache = opts.fontCache || new Map();
     const objects = opts.objects || new Map();
-    const pageDict = opts.pageDict || ''; // Add pageDict to opts
 
-    // Load fonts from resources
+    // Load fonts from resources. Parsed fonts are kept per document (its
+    // objects map); opts.fontCache is the explorer's cache by resource name.
+    if (!loadedFonts.has(objects)) loadedFonts.set(objects, new Map());
+    const fontCache = loadedFonts.get(objects);
     const fontMap = new Map();
-    if (pageDict && objects.size > 0) {
-      const pageTokens = tokenizeDict(pageDict);
-      const pageD = parseDictTokens(pageTokens);
-      let resVal = pageD.get('Resources');
-      let resD;
-      if (resVal.type === 'ref') {
-        const resRef = `${resVal.num} ${resVal.gen}`;
-        const resObj = objects.get(resRef);
-        if (resObj && resObj.dict) {
-          const resTokens = tokenizeDict(resObj.dict);
-          resD = parseDictTokens(resTokens);
-        }
-      } else if (resVal.type === 'dict') {
-        resD = resVal.value;
-      }
-      if (resD) {
-        let fontVal = resD.get('Font');
-        let fontSubDict;
-        if (fontVal.type === 'dict') fontSubDict = fontVal.value;
-        if (fontSubDict) {
-          const fontPromises = [];
-          for (let [key, val] of fontSubDict) {
-            if (val.type === 'ref') {
-              const fRef = `${val.num} ${val.gen}`;
-              fontMap.set('/' + key, fRef);
-              fontPromises.push(loadFont(fRef, objects, fontCache));
-            }
-          }
-          await Promise.all(fontPromises);
-        }
-      }
-    }
+    for (const [name, fRef] of resourceRefs(opts.page, objects, 'Font')) fontMap.set('/' + name, fRef);
+    await Promise.all([...fontMap.values()].map(fRef => loadFont(fRef, objects, fontCache)));
 
     // Engine state...
     let globalTransform = identity.slice();
     let textTransform = identity.slice();
     let stateStack = [];
     let currentFont = 'sans-serif',
+      currentFontRef = null,
       currentFontSize = 12,
       currentTextScale = 1.0;
+    let currentCharSpacing = 0,
+      currentWordSpacing = 0,
+      currentLeading = 0,
+      currentRise = 0,
+      currentRenderMode = 0;
     let currentFillRGB = [0, 0, 0];
     let currentVectorFill = '#000000',
       currentVectorStroke = '#000000';
@@ -706,23 +1075,36 @@
       currentLineJoin = 'miter',
       currentMiterLimit = 10.0;
     let currentDashPattern = { array: [], phase: 0 };
-    let initialTextOrigin = [0, 0];
+    let textLineMatrix = identity.slice();
+    // Text clipping (Tr 4-7): the elements shown since BT, and the id of the
+    // <clipPath> that later layers are clipped to.
+    let clipText = [], currentClip = null;
     let layers = [], currentLayer = null;
     let inText = false;
     let currentStrokeCS = 'DeviceRGB', currentNonStrokeCS = 'DeviceRGB';
+    // Marked-content sections (BMC/BDC ... EMC): the optional content key
+    // of each /OC section, null for others. What is drawn inside gets the
+    // keys as data-oc, so layers can be toggled without rendering again.
+    const properties = resourceRefs(opts.page, objects, 'Properties');
+    const markedContent = [];
+    let currentOC = '';
+
+    function startLayer() {
+      currentLayer = new RenderLayer(outputContainer, layers.length, pageHeight, currentOC);
+      if (currentClip) currentLayer.svg.setAttribute('clip-path', `url(#${currentClip})`);
+      layers.push(currentLayer);
+    }
 
     outputContainer.innerHTML = '';
     layers = [];
-    currentLayer = new RenderLayer(outputContainer, layers.length, pageHeight);
-    layers.push(currentLayer);
+    startLayer();
 
     const tokens = tokenize(content);
 
     for (let i = 0; i < tokens.length; i++) {
       const t = tokens[i];
       if (t.type === 'operator' && (t.value === 'BT' || t.value === 'q')) {
-        currentLayer = new RenderLayer(outputContainer, layers.length, pageHeight);
-        layers.push(currentLayer);
+        startLayer();
       }
 
       // Colors - same
@@ -891,44 +1273,81 @@ if (t.type === 'operator') {
         }
       }
 
-      // Text - updated for Tf, Tj, TJ
+      // Text state (Tc, Tw, Tz, TL, Tf, Ts, Tr) is part of the graphics
+      // state, so these may also appear outside BT ... ET.
+      if (t.type === 'operator' && t.value === 'Tf' && i >= 2) {
+        currentFontSize = tokens[i - 1].value;
+        const fontToken = tokens[i - 2];
+        let fn = fontToken.type === 'operator' || fontToken.type === 'name' ? fontToken.value : '/Unknown';
+        if (!fn.startsWith('/')) fn = '/' + fn;
+        currentFontRef = fontMap.get(fn) || null;
+        const cachedFont = currentFontRef ? fontCache.get(currentFontRef) : null;
+        currentFont = cachedFont ? cachedFont.fontFamily : fn.slice(1);
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'Tc' && i >= 1) {
+        currentCharSpacing = tokens[i - 1].value;
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'Tw' && i >= 1) {
+        currentWordSpacing = tokens[i - 1].value;
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'Tz' && i >= 1) {
+        currentTextScale = tokens[i - 1].value / 100.0;
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'TL' && i >= 1) {
+        currentLeading = tokens[i - 1].value;
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'Ts' && i >= 1) {
+        currentRise = tokens[i - 1].value;
+        continue;
+      }
+      if (t.type === 'operator' && t.value === 'Tr' && i >= 1) {
+        currentRenderMode = tokens[i - 1].value;
+        continue;
+      }
+
       if (t.type === 'operator' && t.value === 'BT') {
         inText = true;
         textTransform = identity.slice();
-        initialTextOrigin = [0, 0];
+        textLineMatrix = identity.slice();
+        clipText = [];
         continue;
       }
       if (t.type === 'operator' && t.value === 'ET') {
         inText = false;
+        // Text shown with Tr 4-7 becomes the clipping path from here on,
+        // intersected with the current one, until the matching Q.
+        if (clipText.length) {
+          const clip = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+          clip.id = `text-clip-${++textClipCount}`;
+          if (currentClip) clip.setAttribute('clip-path', `url(#${currentClip})`);
+          for (const elem of clipText) clip.appendChild(elem.cloneNode(true));
+          currentLayer.svg.appendChild(clip);
+          currentClip = clip.id;
+          clipText = [];
+          startLayer();
+        }
         continue;
       }
 
       if (inText) {
-        if (t.type === 'operator' && t.value === 'Tf' && i >= 2) {
-          currentFontSize = tokens[i - 1].value;
-          const fontToken = tokens[i - 2];
-          let fn = fontToken.type === 'operator' || fontToken.type === 'name' ? fontToken.value : '/Unknown';
-          if (!fn.startsWith('/')) fn = '/' + fn;
-          const fontRef = fontMap.get(fn);
-          const cachedFont = fontRef ? fontCache.get(fontRef) : null;
-          currentFont = cachedFont ? cachedFont.fontFamily : fn.slice(1);
-          continue;
-        }
         if (t.type === 'operator' && t.value === 'Tm' && i >= 6) {
           textTransform = [tokens[i - 6].value, tokens[i - 5].value, tokens[i - 4].value, tokens[i - 3].value, tokens[i - 2].value, tokens[i - 1].value];
-          initialTextOrigin = [textTransform[4], textTransform[5]];
+          textLineMatrix = textTransform.slice();
           continue;
         }
         if (t.type === 'operator' && (t.value === 'Td' || t.value === 'TD') && i >= 2) {
           const dx = tokens[i - 2].value, dy = tokens[i - 1].value;
-          textTransform = multiplyMatrix(textTransform, translationMatrix(dx, dy));
-          if (t.value === 'TD') {
-            initialTextOrigin = [textTransform[4], textTransform[5]];
-          }
+          if (t.value === 'TD') currentLeading = -dy;
+          nextLine(dx, dy);
           continue;
         }
-        if (t.type === 'operator' && t.value === 'Tz' && i >= 1) {
-          currentTextScale = tokens[i - 1].value / 100.0;
+        if (t.type === 'operator' && t.value === 'T*') {
+          nextLine(0, -currentLeading);
           continue;
         }
         if (t.type === 'operator' && t.value === "Tj" && i >= 1) {
@@ -945,10 +1364,12 @@ if (t.type === 'operator') {
           }
           continue;
         }
-        if (t.type === 'operator' && t.value === "'" && i >= 1) {
-          textTransform[4] = initialTextOrigin[0];
-          textTransform[5] -= currentFontSize;
-          initialTextOrigin[1] -= currentFontSize;
+        if (t.type === 'operator' && (t.value === "'" || t.value === '"') && i >= 1) {
+          if (t.value === '"' && i >= 3) {
+            currentWordSpacing = tokens[i - 3].value;
+            currentCharSpacing = tokens[i - 2].value;
+          }
+          nextLine(0, -currentLeading);
           const token = tokens[i - 1];
           if (token.type === 'string' || token.type === 'hexstring') {
             emitText(token);
@@ -963,10 +1384,17 @@ if (t.type === 'operator') {
           g: globalTransform.slice(),
           t: textTransform.slice(),
           f: currentFont,
+          fr: currentFontRef,
           fs: currentFontSize,
           ts: currentTextScale,
+          tc: currentCharSpacing,
+          tw: currentWordSpacing,
+          tl: currentLeading,
+          rise: currentRise,
+          tr: currentRenderMode,
+          clip: currentClip,
           fill: [...currentFillRGB],
-          o: [...initialTextOrigin],
+          o: textLineMatrix.slice(),
           vecFill: currentVectorFill,
           vecStroke: currentVectorStroke,
           lw: currentLineWidth,
@@ -985,10 +1413,17 @@ if (t.type === 'operator') {
           globalTransform = s.g;
           textTransform = s.t;
           currentFont = s.f;
+          currentFontRef = s.fr;
           currentFontSize = s.fs;
           currentTextScale = s.ts;
+          currentCharSpacing = s.tc;
+          currentWordSpacing = s.tw;
+          currentLeading = s.tl;
+          currentRise = s.rise;
+          currentRenderMode = s.tr;
+          currentClip = s.clip;
           currentFillRGB = s.fill;
-          initialTextOrigin = s.o;
+          textLineMatrix = s.o;
           currentVectorFill = s.vecFill;
           currentVectorStroke = s.vecStroke;
           currentLineWidth = s.lw;
@@ -999,8 +1434,7 @@ if (t.type === 'operator') {
           if (s.strokeCS) currentStrokeCS = s.strokeCS;
           if (s.nonStrokeCS) currentNonStrokeCS = s.nonStrokeCS;
         }
-        currentLayer = new RenderLayer(outputContainer, layers.length, pageHeight);
-        layers.push(currentLayer);
+        startLayer();
         continue;
       }
       if (t.type === 'operator' && t.value === 'cm' && i >= 6) {
@@ -1009,6 +1443,16 @@ if (t.type === 'operator') {
         continue;
       }
 
+      if (t.type === 'operator' && (t.value === 'BMC' || t.value === 'BDC' || t.value === 'EMC')) {
+        if (t.value === 'EMC') markedContent.pop();
+        else if (t.value === 'BDC' && i >= 2 && tokens[i - 2].value === '/OC') {
+          markedContent.push(properties.get(String(tokens[i - 1].value).replace(/^\//, '')) || null);
+        } else markedContent.push(null);
+        currentOC = markedContent.filter(Boolean).join(',');
+        currentLayer.oc = currentOC;
+        continue;
+      }
+
       // Image - log for now, can update similar to fonts
       if (t.type === 'operator' && t.value === 'Do') {
         if (i >= 1 && (tokens[i - 1].type === 'operator' || tokens[i - 1].type === 'name')) {
@@ -1021,85 +1465,149 @@ if (t.type === 'operator') {
     }
 
     // Helpers updated
-    function currentEffectiveTransform() {
-      const scaleMat = [currentTextScale, 0, 0, 1, 0, 0];
-      const scaledTextMat = multiplyMatrix(scaleMat, textTransform);
-      return multiplyMatrix(globalTransform, scaledTextMat);
+    // Td and friends move to the start of the next line: the line matrix is
+    // translated and the text matrix reset to it.
+    function nextLine(dx, dy) {
+      textLineMatrix = multiplyMatrix(textLineMatrix, translationMatrix(dx, dy));
+      textTransform = textLineMatrix.slice();
     }
 
-    function emitText(token) {
-      const eff = currentEffectiveTransform();
-      const tx = eff[4], ty = eff[5], a = eff[0], bVal = eff[1];
-      const scale = Math.hypot(a, bVal) || 1;
-      const angleDeg = -Math.atan2(bVal, a) * 180 / Math.PI;
-      const svgY = pageHeight - ty;
+    // A <text> at the current text position, placed by the text rendering
+    // matrix (font size and horizontal scaling, rise, Tm, CTM) and flipped
+    // so glyphs stand upright in the y-down SVG. The matrix is normalised to
+    // unit scale, with the scale moved into font-size; `k` converts text
+    // space units to the element's units.
+    function textElement() {
+      const trm = multiplyMatrix(globalTransform, multiplyMatrix(textTransform, [currentTextScale, 0, 0, 1, 0, currentRise]));
+      const m = multiplyMatrix([1, 0, 0, -1, 0, pageHeight], multiplyMatrix(trm, [1, 0, 0, -1, 0, 0]));
+      const k = Math.hypot(m[2], m[3]) || 1;
       const textElem = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      textElem.setAttribute('x', tx);
-      textElem.setAttribute('y', svgY);
-      textElem.setAttribute('transform', `rotate(${angleDeg}, ${tx}, ${svgY})`);
+      textElem.setAttribute('transform', `matrix(${m[0] / k} ${m[1] / k} ${m[2] / k} ${m[3] / k} ${m[4]} ${m[5]})`);
       textElem.setAttribute('font-family', currentFont);
-      textElem.setAttribute('font-size', (currentFontSize * scale) + 'px');
-      // Apply fill based on current non-stroking color.  Clamp values to [0,255] to produce valid CSS rgb().
+      textElem.setAttribute('font-size', (currentFontSize * k) + 'px');
+      textElem.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+      // Render modes: 0 fill, 1 stroke, 2 fill and stroke, 3 neither (OCR
+      // text under a scanned image, kept selectable); 4-7 the same, and
+      // added to the clipping path.
+      const paint = currentRenderMode & 3;
       const [r, g, b] = currentFillRGB;
       const to255 = v => Math.max(0, Math.min(255, Math.round(v * 255)));
-      textElem.setAttribute('fill', `rgb(${to255(r)},${to255(g)},${to255(b)})`);
-      // Extract glyphs and append the element to the layer.  The actual string conversion is performed via fontCache.
-      const txt = getTextFromToken(token, fontCache.get(fontMap.get(currentFont) || null)); // Approximate currentFont to ref
-      currentLayer.addTextElement(textElem);
-      textElem.textContent = txt;
+      textElem.setAttribute('fill', paint === 1 ? 'none' : paint === 3 ? 'transparent' : `rgb(${to255(r)},${to255(g)},${to255(b)})`);
+      if (paint === 1 || paint === 2) {
+        // The line width is in user space, scaled by the CTM only.
+        const ctmScale = Math.sqrt(Math.abs(globalTransform[0] * globalTransform[3] - globalTransform[1] * globalTransform[2]));
+        textElem.setAttribute('stroke', currentVectorStroke);
+        textElem.setAttribute('stroke-width', currentLineWidth * ctmScale);
+        textElem.setAttribute('stroke-linejoin', currentLineJoin);
+      }
+      return { textElem, k };
     }
 
-    function emitTJ(arrTokens) {
-      const eff = currentEffectiveTransform();
-      const tx = eff[4], ty = eff[5], a = eff[0], bVal = eff[1];
-      const scale = Math.hypot(a, bVal) || 1;
-      const angleDeg = -Math.atan2(bVal, a) * 180 / Math.PI;
-      const svgY = pageHeight - ty;
-      const textElem = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      textElem.setAttribute('x', tx);
-      textElem.setAttribute('y', svgY);
-      textElem.setAttribute('transform', `rotate(${angleDeg}, ${tx}, ${svgY})`);
-      textElem.setAttribute('font-family', currentFont);
-      textElem.setAttribute('font-size', (currentFontSize * scale) + 'px');
-      const [r, g, b] = currentFillRGB;
-      const to255 = v => Math.max(0, Math.min(255, Math.round(v * 255)));
-      textElem.setAttribute('fill', `rgb(${to255(r)},${to255(g)},${to255(b)})`);
-      let currentTspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-      for (const subToken of arrTokens) {
-        if (subToken.type === 'number') {
-          const adjust = subToken.value;
-          const dxShift = -(adjust / 1000) * currentFontSize * scale * currentTextScale;
-          if (currentTspan.textContent) textElem.appendChild(currentTspan);
-          const kerningSpan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-          kerningSpan.setAttribute('dx', dxShift);
-          textElem.appendChild(kerningSpan);
-          currentTspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-        } else if (subToken.type === 'string' || subToken.type === 'hexstring') {
-          const txt = getTextFromToken(subToken, fontCache.get(fontMap.get(currentFont) || null));
-          currentTspan.textContent += txt;
+    // Lays out a string or TJ array: each glyph's origin, in text space
+    // units before horizontal scaling, from the font's widths plus Tc and Tw
+    // (word spacing applies to the single-byte code 32 only). TJ numbers
+    // move the next glyph back by thousandths of an em; kern keeps that
+    // shift for glyphs the browser has to lay out itself.
+    function layoutGlyphs(items) {
+      const font = currentFontRef ? fontCache.get(currentFontRef) : null;
+      const singleByte = !font || !font.isComposite || font.codeLength === 1;
+      const glyphs = [];
+      let x = 0, kern = 0, measured = true;
+      for (const item of items) {
+        if (item.type === 'number') {
+          x -= item.value / 1000 * currentFontSize;
+          kern -= item.value / 1000 * currentFontSize;
+          continue;
+        }
+        for (const glyph of getGlyphsFromToken(item, font)) {
+          let w = glyphWidth(font, glyph.code);
+          if (w === null) {
+            measured = false;
+            w = 500;
+          }
+          glyphs.push({ text: glyph.text, drawn: glyph.drawn, x, w: w / 1000 * currentFontSize, kern });
+          kern = 0;
+          x += w / 1000 * currentFontSize + currentCharSpacing;
+          if (singleByte && glyph.code === 32) x += currentWordSpacing;
         }
       }
-      if (currentTspan.textContent) textElem.appendChild(currentTspan);
+      return { glyphs, advance: x, measured, singleByte };
+    }
+
+    // Shows laid out glyphs and moves the text matrix past them. Each
+    // character gets an x position, so the line has the PDF's length
+    // whatever font the browser substitutes; without widths the browser
+    // lays the string out, with Tc and Tw as letter- and word-spacing and
+    // TJ numbers as dx shifts, and the advance is estimated. Where an embedded
+    // font draws private use characters, the text to select and copy lies
+    // over the drawn glyphs in a transparent element.
+    function showGlyphs({ glyphs, advance, measured, singleByte }) {
+      const drawn = glyphs.map(g => g.drawn).join('');
+      const text = glyphs.map(g => g.text).join('');
+      const positions = (key, k) => {
+        const xs = [];
+        for (const g of glyphs) {
+          const chars = g[key].length;
+          for (let c = 0; c < chars; c++) xs.push(+((g.x + g.w * c / chars) * k).toFixed(3));
+        }
+        return xs.join(' ');
+      };
+      const fill = (elem, key, k) => {
+        if (measured) {
+          elem.textContent = glyphs.map(g => g[key]).join('');
+          elem.setAttribute('x', positions(key, k));
+          return;
+        }
+        if (currentCharSpacing) elem.setAttribute('letter-spacing', currentCharSpacing * k);
+        if (currentWordSpacing && singleByte) elem.setAttribute('word-spacing', currentWordSpacing * k);
+        if (!glyphs.some(g => g.kern)) {
+          elem.textContent = glyphs.map(g => g[key]).join('');
+          return;
+        }
+        let span = null;
+        for (const g of glyphs) {
+          if (!span || g.kern) {
+            span = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+            if (g.kern) span.setAttribute('dx', +(g.kern * k).toFixed(3));
+            elem.appendChild(span);
+          }
+          span.textContent += g[key];
+        }
+      };
+      if (drawn) {
+        const { textElem, k } = textElement();
+        fill(textElem, 'drawn', k);
+        addText(textElem);
+        if (text !== drawn) {
+          textElem.setAttribute('aria-hidden', 'true');
+          textElem.setAttribute('style', 'user-select: none');
+          const { textElem: overlay } = textElement();
+          fill(overlay, 'text', k);
+          overlay.setAttribute('fill', 'transparent');
+          overlay.removeAttribute('stroke');
+          currentLayer.addTextElement(overlay);
+        }
+      }
+      textTransform = multiplyMatrix(textTransform, translationMatrix(advance * currentTextScale, 0));
+    }
+
+    function addText(textElem) {
       currentLayer.addTextElement(textElem);
+      if (currentRenderMode >= 4) clipText.push(textElem);
     }
 
-    // Finalize
-    for (const L of layers) L.renderAll();
-    removeEmptyLayers(outputContainer);
-    updateCanvasScale(outputContainer, viewportWrapper, pageWidth, pageHeight);
+    function emitText(token) {
+      showGlyphs(layoutGlyphs([token]));
+    }
 
-    let resizeTimeout;
-    function onResize() {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => updateCanvasScale(outputContainer, viewportWrapper, pageWidth, pageHeight), 50);
+    function emitTJ(arrTokens) {
+      showGlyphs(layoutGlyphs(arrTokens.filter(t => t.type === 'number' || t.type === 'string' || t.type === 'hexstring')));
     }
-    window.addEventListener('resize', onResize, { passive: true });
 
-    return {
-      dispose() {
-        window.removeEventListener('resize', onResize);
-      }
-    };
+    // Finalize. Placing and zooming the page is left to the caller, which
+    // maps this y-flipped user space onto the page (see show() in index.html).
+    for (const L of layers) L.renderAll();
+    removeEmptyLayers(outputContainer);
   }
 
   window.renderPage = renderPage;
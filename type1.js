@@ -0,0 +1,442 @@
+/*!
+ * type1.js — converts Type 1 font programs (/FontFile) to CFF and OpenType
+ * Load after sfnt.js; it exposes PDFType1 on window (or globalThis).
+ *
+ * Browsers do not load Type 1 fonts. The program is read from its
+ * cleartext part (FontName, FontMatrix, FontBBox, Encoding) and its
+ * eexec-encrypted part (Private dictionary, Subrs, CharStrings), the
+ * charstrings are decrypted and rewritten as Type 2 charstrings with
+ * subroutines, flex, hints and seac accents flattened away, and the result is written as a bare CFF font that
+ * PDFSfnt.wrapCff turns into OpenType.
+ *
+ * Usage:
+ *    const { cff, advances } = PDFType1.convert(bytes, { length1, length2 });
+ *    const otf = PDFType1.toOpenType(bytes, { length1, length2, name });
+ */
+(function (global) {
+  const PDFType1 = {};
+
+  const EEXEC_KEY = 55665, CHARSTRING_KEY = 4330;
+
+  function decrypt(bytes, key, discard) {
+    const out = new Uint8Array(Math.max(0, bytes.length - discard));
+    let r = key;
+    for (let i = 0; i < bytes.length; i++) {
+      const c = bytes[i];
+      if (i >= discard) out[i - discard] = c ^ (r >> 8);
+      r = ((c + r) * 52845 + 22719) & 0xffff;
+    }
+    return out;
+  }
+
+  function latin1(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return s;
+  }
+
+  const isHex = b => (b >= 48 && b <= 57) || (b >= 65 && b <= 70) || (b >= 97 && b <= 102);
+  const isSpace = b => b === 32 || b === 9 || b === 10 || b === 13 || b === 12 || b === 0;
+
+  function hexToBytes(bytes) {
+    const out = [];
+    let high = -1;
+    for (const b of bytes) {
+      if (!isHex(b)) continue;
+      const v = parseInt(String.fromCharCode(b), 16);
+      if (high === -1) high = v;
+      else { out.push((high << 4) | v); high = -1; }
+    }
+    return new Uint8Array(out);
+  }
+
+  // PFB files wrap the parts in segments (0x80, type, length); join them.
+  function stripPfb(bytes) {
+    if (bytes[0] !== 0x80) return bytes;
+    const parts = [];
+    let pos = 0;
+    while (pos + 6 <= bytes.length && bytes[pos] === 0x80 && bytes[pos + 1] !== 3) {
+      const length = bytes[pos + 2] | (bytes[pos + 3] << 8) | (bytes[pos + 4] << 16) | (bytes[pos + 5] << 24);
+      parts.push(bytes.subarray(pos + 6, pos + 6 + length));
+      pos += 6 + length;
+    }
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    for (const p of parts) { out.set(p, at); at += p.length; }
+    return out;
+  }
+
+  // Cleartext and decrypted private part. /Length1 marks where encryption
+  // starts; when it does not land just after "eexec", the keyword is
+  // searched for instead. /Length2 bounds the encrypted part.
+  function splitProgram(bytes, length1, length2) {
+    let start;
+    if (length1 > 0 && length1 < bytes.length && /eexec[\s\0]*$/.test(latin1(bytes.subarray(Math.max(0, length1 - 16), length1)))) {
+      start = length1;
+    } else {
+      const at = latin1(bytes).indexOf('eexec');
+      if (at === -1) throw new Error('Type 1 program without an eexec section');
+      start = at + 5;
+      while (start < bytes.length && isSpace(bytes[start])) start++;
+    }
+    let encrypted = bytes.subarray(start, length2 > 0 && start + length2 <= bytes.length ? start + length2 : bytes.length);
+    if (encrypted.length >= 4 && [0, 1, 2, 3].every(i => isHex(encrypted[i]))) encrypted = hexToBytes(encrypted);
+    return { cleartext: latin1(bytes.subarray(0, start)), priv: decrypt(encrypted, EEXEC_KEY, 4) };
+  }
+
+  const numbersIn = text => (text.match(/-?(?:\d+\.?\d*|\.\d+)(?:[eE]-?\d+)?/g) || []).map(Number);
+
+  // Binary entries "<key> <length> RD <bytes>" of the Private part, in
+  // order; key is the Subrs index or the glyph name.
+  function readEntries(priv, text, pattern, count, from) {
+    const entries = [];
+    pattern.lastIndex = from;
+    let m;
+    while (entries.length < count && (m = pattern.exec(text))) {
+      const start = m.index + m[0].length;
+      const length = Number(m[2]);
+      entries.push([m[1], priv.subarray(start, start + length)]);
+      pattern.lastIndex = start + length;
+    }
+    return entries;
+  }
+
+  // ---- Type 1 to Type 2 charstrings ----
+
+  function type2Number(n) {
+    if (Number.isInteger(n) && n >= -107 && n <= 107) return [n + 139];
+    if (Number.isInteger(n) && n >= 108 && n <= 1131) return [((n - 108) >> 8) + 247, (n - 108) & 255];
+    if (Number.isInteger(n) && n >= -1131 && n <= -108) return [((-n - 108) >> 8) + 251, (-n - 108) & 255];
+    if (Number.isInteger(n) && n >= -32768 && n <= 32767) return [28, (n >> 8) & 255, n & 255];
+    const fixed = Math.round(n * 65536);
+    return [255, (fixed >>> 24) & 255, (fixed >> 16) & 255, (fixed >> 8) & 255, fixed & 255];
+  }
+
+  // A Type 2 charstring drawing the same outline as a decrypted Type 1
+  // one. Positions are tracked absolutely so that the side bearing and
+  // flex curves come out as plain relative moves and curves. seac
+  // accents are drawn in place from the base and accent charstrings
+  // (glyphs: name -> decrypted charstring).
+  function toType2(charstring, subrs, glyphs) {
+    const out = [];
+    const stack = [], psStack = [];
+    let x = 0, y = 0, px = 0, py = 0;
+    let width = 0, started = false, pending = true, done = false;
+    let flex = null, flexStart = null;
+    let origin = null; // set while drawing the parts of a seac accent
+
+    const emit = (args, op) => {
+      if (!started) { args = [width, ...args]; started = true; }
+      for (const a of args) out.push(...type2Number(a));
+      out.push(op);
+    };
+    const beginDraw = () => {
+      if (!pending) return;
+      emit([x - px, y - py], 21);
+      px = x; py = y;
+      pending = false;
+    };
+    const curve = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+      beginDraw();
+      emit([dx1, dy1, dx2, dy2, dx3, dy3], 8);
+      x += dx1 + dx2 + dx3; y += dy1 + dy2 + dy3;
+      px = x; py = y;
+    };
+    const line = (dx, dy) => {
+      beginDraw();
+      emit([dx, dy], 5);
+      x += dx; y += dy;
+      px = x; py = y;
+    };
+    const move = (dx, dy) => {
+      x += dx; y += dy;
+      if (flex) flex.push([x, y]);
+      else pending = true;
+    };
+
+    const run = (data, depth) => {
+      for (let i = 0; i < data.length && !done;) {
+        const v = data[i++];
+        if (v >= 32) {
+          if (v <= 246) stack.push(v - 139);
+          else if (v <= 250) stack.push((v - 247) * 256 + data[i++] + 108);
+          else if (v <= 254) stack.push(-(v - 251) * 256 - data[i++] - 108);
+          else { stack.push((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]); i += 4; }
+          continue;
+        }
+        const op = v === 12 ? 1200 + data[i++] : v;
+        const a = stack;
+        switch (op) {
+          case 13: // hsbw
+          case 1207: // sbw
+            if (origin) {
+              x = origin[0] + a[0];
+              y = origin[1] + (op === 13 ? 0 : a[1]);
+              pending = true;
+            } else {
+              x = a[0];
+              y = op === 13 ? 0 : a[1];
+              width = op === 13 ? a[1] : a[2];
+            }
+            break;
+          case 21: move(a[0], a[1]); break;
+          case 22: move(a[0], 0); break;
+          case 4: move(0, a[0]); break;
+          case 5: line(a[0], a[1]); break;
+          case 6: line(a[0], 0); break;
+          case 7: line(0, a[0]); break;
+          case 8: curve(a[0], a[1], a[2], a[3], a[4], a[5]); break;
+          case 30: curve(0, a[0], a[1], a[2], a[3], 0); break; // vhcurveto
+          case 31: curve(a[0], 0, a[1], a[2], 0, a[3]); break; // hvcurveto
+          case 9: break; // closepath: the next moveto closes the subpath
+          case 14:
+            if (!origin) emit([], 14);
+            done = true;
+            break;
+          case 1206: { // seac: asb adx ady bchar achar
+            const [asb, adx, ady, bchar, achar] = a.splice(0);
+            const names = standardEncodingNames();
+            const base = glyphs.get(names.get(bchar)), accent = glyphs.get(names.get(achar));
+            // The accent's origin sits at adx - asb from the base's side bearing.
+            const shift = [adx + x - asb, ady];
+            if (base && accent && !origin) {
+              origin = [0, 0];
+              run(base, depth + 1);
+              done = false;
+              origin = shift;
+              run(accent, depth + 1);
+              origin = null;
+            }
+            emit([], 14);
+            done = true;
+            break;
+          }
+          case 10: { // callsubr
+            const n = a.pop();
+            if (subrs[n] && depth < 10) run(subrs[n], depth + 1);
+            continue;
+          }
+          case 11: return; // return
+          case 1216: { // callothersubr
+            const other = a.pop(), n = a.pop();
+            const args = a.splice(Math.max(0, a.length - n), n);
+            if (other === 1) {
+              flex = [];
+              flexStart = [x, y];
+            } else if (other === 0 && flex) {
+              const points = flex.slice(1, 7);
+              flex = null;
+              [x, y] = flexStart;
+              if (points.length === 6) {
+                let [cx, cy] = [x, y];
+                for (let k = 0; k < 6; k += 3) {
+                  const [p1, p2, p3] = points.slice(k, k + 3);
+                  curve(p1[0] - cx, p1[1] - cy, p2[0] - p1[0], p2[1] - p1[1], p3[0] - p2[0], p3[1] - p2[1]);
+                  [cx, cy] = p3;
+                }
+              }
+              psStack.push(y, x);
+            } else if (other !== 2) {
+              psStack.push(...args);
+            }
+            continue;
+          }
+          case 1217: a.push(psStack.length ? psStack.pop() : 0); continue; // pop
+          case 1212: { const b = a.pop(); a.push(a.pop() / b); continue; } // div
+          default: break; // hints, dotsection, setcurrentpoint
+        }
+        stack.length = 0;
+      }
+    };
+    run(charstring, 0);
+    if (!done) emit([], 14);
+    return { data: out, width };
+  }
+
+  // ---- CFF writing ----
+
+  function dictNumber(n) {
+    if (Number.isInteger(n)) {
+      if (n >= -1131 && n <= 1131) return type2Number(n);
+      if (n >= -32768 && n <= 32767) return [28, (n >> 8) & 255, n & 255];
+      return [29, (n >>> 24) & 255, (n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+    const text = String(n);
+    const nibbles = [];
+    for (let k = 0; k < text.length; k++) {
+      const ch = text[k];
+      if (ch === 'e') {
+        if (text[k + 1] === '-') { nibbles.push(0xc); k++; } else nibbles.push(0xb);
+        if (text[k + 1] === '+') k++;
+      } else nibbles.push(ch === '.' ? 0xa : ch === '-' ? 0xe : +ch);
+    }
+    nibbles.push(0xf);
+    if (nibbles.length % 2) nibbles.push(0xf);
+    const out = [30];
+    for (let k = 0; k < nibbles.length; k += 2) out.push((nibbles[k] << 4) | nibbles[k + 1]);
+    return out;
+  }
+
+  // Offsets are written as 5-byte integers so the Top DICT size does not
+  // depend on them.
+  const offsetNumber = n => [29, (n >>> 24) & 255, (n >> 16) & 255, (n >> 8) & 255, n & 255];
+
+  function writeIndex(items) {
+    if (!items.length) return [0, 0];
+    const total = items.reduce((n, it) => n + it.length, 0) + 1;
+    const offSize = total < 0x100 ? 1 : total < 0x10000 ? 2 : total < 0x1000000 ? 3 : 4;
+    const out = [(items.length >> 8) & 255, items.length & 255, offSize];
+    let offset = 1;
+    const pushOffset = o => { for (let b = offSize - 1; b >= 0; b--) out.push((o >>> (b * 8)) & 255); };
+    pushOffset(offset);
+    for (const it of items) { offset += it.length; pushOffset(offset); }
+    for (const it of items) for (const b of it) out.push(b);
+    return out;
+  }
+
+  const STANDARD_ENCODING_NAMES = new Map();
+  function standardEncodingNames() {
+    if (STANDARD_ENCODING_NAMES.size) return STANDARD_ENCODING_NAMES;
+    const strings = global.PDFSfnt.STANDARD_STRINGS;
+    const high = [161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 177, 178, 179, 180, 182,
+      183, 184, 185, 186, 187, 188, 189, 191, 193, 194, 195, 196, 197, 198, 199, 200, 202, 203, 205, 206,
+      207, 208, 225, 227, 232, 233, 234, 235, 241, 245, 248, 249, 250, 251];
+    for (let code = 32; code <= 126; code++) STANDARD_ENCODING_NAMES.set(code, strings[code - 31]);
+    high.forEach((code, k) => STANDARD_ENCODING_NAMES.set(code, strings[96 + k]));
+    return STANDARD_ENCODING_NAMES;
+  }
+
+  // A bare CFF font from a Type 1 program. advances are the charstring
+  // widths by glyph id.
+  function convert(bytes, { length1, length2 } = {}) {
+    bytes = stripPfb(bytes);
+    const { cleartext, priv } = splitProgram(bytes, length1, length2);
+    const privText = latin1(priv);
+
+    const fontName = (/\/FontName\s*\/([^\s\/\[\]{}()<>%]+)/.exec(cleartext) || [])[1] || 'Type1';
+    const matrixMatch = /\/FontMatrix\s*[\[{]([^\]}]*)[\]}]/.exec(cleartext);
+    const fontMatrix = matrixMatch ? numbersIn(matrixMatch[1]) : [];
+    const bboxMatch = /\/FontBBox\s*[\[{]([^\]}]*)[\]}]/.exec(cleartext);
+    const bbox = bboxMatch ? numbersIn(bboxMatch[1]) : [0, 0, 0, 0];
+
+    // Built-in encoding: StandardEncoding or "dup <code> /<name> put" entries.
+    let encoding = null;
+    const encAt = cleartext.indexOf('/Encoding');
+    if (encAt !== -1 && !/^\/Encoding\s+StandardEncoding/.test(cleartext.slice(encAt))) {
+      encoding = new Map();
+      const section = cleartext.slice(encAt);
+      const end = section.search(/\bdef\b/);
+      const re = /dup\s+(\d+)\s*\/([^\s\/\[\]{}()<>%]+)\s+put/g;
+      for (const m of section.slice(0, end === -1 ? section.length : end).matchAll(re)) {
+        if (+m[1] < 256) encoding.set(+m[1], m[2]);
+      }
+    }
+
+    const lenIVMatch = /\/lenIV\s+(-?\d+)/.exec(privText);
+    const lenIV = lenIVMatch ? +lenIVMatch[1] : 4;
+    const decode = data => (lenIV < 0 ? data : decrypt(data, CHARSTRING_KEY, lenIV));
+
+    const subrs = [];
+    const subrsMatch = /\/Subrs\s+(\d+)/.exec(privText);
+    if (subrsMatch) {
+      const re = /dup\s+(\d+)\s+(\d+)\s+\S+\s/g;
+      for (const [index, data] of readEntries(priv, privText, re, +subrsMatch[1], subrsMatch.index)) subrs[+index] = decode(data);
+    }
+    const csMatch = /\/CharStrings\s+(\d+)/.exec(privText);
+    // Lengths that do not fit the program: try again without them.
+    if (!csMatch && (length1 || length2)) return convert(bytes, {});
+    if (!csMatch) throw new Error('Type 1 program without CharStrings');
+    const csFrom = csMatch.index + csMatch[0].length;
+    let glyphs = readEntries(priv, privText, /\/([^\s\/\[\]{}()<>%]+)\s+(\d+)\s+\S+\s/g, +csMatch[1], csFrom)
+      .map(([name, data]) => [name, decode(data)]);
+    const byName = new Map(glyphs);
+    glyphs = glyphs.map(([name, data]) => ({ name, ...toType2(data, subrs, byName) }));
+    if (!glyphs.length) throw new Error('Type 1 program without glyphs');
+
+    // Glyph order: .notdef, glyphs in encoding order, then the rest.
+    const encodingNames = encoding || standardEncodingNames();
+    const codesOf = new Map();
+    for (const [code, name] of [...encodingNames].sort((p, q) => p[0] - q[0])) {
+      if (!codesOf.has(name)) codesOf.set(name, []);
+      codesOf.get(name).push(code);
+    }
+    let notdef = glyphs.find(g => g.name === '.notdef');
+    if (!notdef) notdef = { name: '.notdef', data: [139, 14], width: 0 };
+    const rest = glyphs.filter(g => g.name !== '.notdef');
+    const encoded = rest.filter(g => codesOf.has(g.name)).sort((p, q) => codesOf.get(p.name)[0] - codesOf.get(q.name)[0]);
+    const ordered = [notdef, ...encoded, ...rest.filter(g => !codesOf.has(g.name))];
+
+    const strings = global.PDFSfnt.STANDARD_STRINGS;
+    const standardSid = new Map(strings.map((s, sid) => [s, sid]));
+    const custom = [];
+    const sidOf = name => {
+      if (standardSid.has(name)) return standardSid.get(name);
+      custom.push(name);
+      standardSid.set(name, strings.length + custom.length - 1);
+      return standardSid.get(name);
+    };
+    const charset = [0];
+    for (const g of ordered.slice(1)) charset.push((sidOf(g.name) >> 8) & 255, sidOf(g.name) & 255);
+
+    let encodingData = null;
+    if (encoding) {
+      const sups = [];
+      for (const g of encoded) for (const code of codesOf.get(g.name).slice(1)) sups.push(code, (sidOf(g.name) >> 8) & 255, sidOf(g.name) & 255);
+      encodingData = [sups.length ? 0x80 : 0, encoded.length, ...encoded.map(g => codesOf.get(g.name)[0])];
+      if (sups.length) encodingData.push(sups.length / 3, ...sups);
+    }
+
+    const privateDict = [];
+    for (const [key, op] of [['BlueValues', 6], ['OtherBlues', 7]]) {
+      const m = new RegExp(`/${key}\\s*[\\[{]([^\\]}]*)[\\]}]`).exec(privText);
+      const values = m ? numbersIn(m[1]) : [];
+      if (!values.length) continue;
+      values.forEach((v, k) => privateDict.push(...dictNumber(k ? v - values[k - 1] : v)));
+      privateDict.push(op);
+    }
+    for (const [key, op] of [['StdHW', 10], ['StdVW', 11]]) {
+      const m = new RegExp(`/${key}\\s*[\\[{]\\s*(-?[\\d.]+)`).exec(privText);
+      if (m) privateDict.push(...dictNumber(+m[1]), op);
+    }
+    privateDict.push(...dictNumber(0), 20, ...dictNumber(0), 21);
+
+    const charStrings = writeIndex(ordered.map(g => g.data));
+    const topDict = offsets => [
+      ...bbox.flatMap(n => dictNumber(Math.round(n))), 5,
+      ...(fontMatrix.length === 6 && fontMatrix[0] !== 0.001 ? [...fontMatrix.flatMap(dictNumber), 12, 7] : []),
+      ...offsetNumber(offsets.charset), 15,
+      ...offsetNumber(offsets.encoding), 16,
+      ...offsetNumber(offsets.charStrings), 17,
+      ...offsetNumber(privateDict.length), ...offsetNumber(offsets.private), 18
+    ];
+    const name = fontName.replace(/^[A-Z]{6}\+/, '').replace(/[^\x21-\x7e]|[\[\](){}<>\/%]/g, '').slice(0, 63) || 'Type1';
+    const head = [1, 0, 4, 4, ...writeIndex([[...name].map(c => c.charCodeAt(0))])];
+    const stringIndex = writeIndex(custom.map(s => [...s].map(c => c.charCodeAt(0))));
+    const before = head.length + writeIndex([topDict({ charset: 0, encoding: 0, charStrings: 0, private: 0 })]).length + stringIndex.length + 2;
+    const offsets = { charset: before };
+    offsets.encoding = encodingData ? offsets.charset + charset.length : 0;
+    offsets.charStrings = offsets.charset + charset.length + (encodingData ? encodingData.length : 0);
+    offsets.private = offsets.charStrings + charStrings.length;
+    const cff = new Uint8Array([
+      ...head, ...writeIndex([topDict(offsets)]), ...stringIndex, 0, 0,
+      ...charset, ...(encodingData || []), ...charStrings, ...privateDict
+    ]);
+    return { cff, advances: new Map(ordered.map((g, gid) => [gid, g.width])) };
+  }
+
+  // An OpenType font from a Type 1 program, its cmap mapping each code of
+  // the built-in encoding (as U+0020-U+00FF) to its glyph.
+  function toOpenType(bytes, { length1, length2, name } = {}) {
+    const { cff, advances } = convert(bytes, { length1, length2 });
+    const parsed = global.PDFSfnt.parseCff(cff);
+    const charToGid = new Map();
+    for (const [code, gid] of parsed.encoding) if (code >= 32) charToGid.set(code, gid);
+    return global.PDFSfnt.wrapCff(cff, parsed, charToGid, { name: name || 'Type1', advances });
+  }
+
+  PDFType1.convert = convert;
+  PDFType1.toOpenType = toOpenType;
+
+  global.PDFType1 = PDFType1;
+
+})(typeof window !== 'undefined' ? window : globalThis);
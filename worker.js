@@ -0,0 +1,210 @@
+
+/*!
+ * worker.js — runs the explorer.js parser off the main thread
+ * Started by PDFExplorer.openInWorker; one worker per open document.
+ *
+ * Messages in:
+ *    { type: 'open', id, data | url, password }
+ *    { type: 'getObject', id, key }          record, stream decoded
+ *    { type: 'getPage', id, page }           { page, fontCache }
+ *    { type: 'loadAllPages', id }            { pages, fontCache }
+ *    { type: 'getPageContent', id, page }    page number or "num gen" key
+ *    { type: 'loadPageObjects', id, page }   records a renderer may look up
+ *    { type: 'getPageGeometry', id, page }   boxes, rotation and page matrix
+ *    { type: 'getPageLabels', id }           labels of all pages, or null
+ *    { type: 'getOutline', id }              bookmark tree, or null
+ *    { type: 'resolveDestination', id, dest } { pageIndex, pageKey, type, args }
+ *    { type: 'getPageLinks', id, page }      link annotations of a page
+ *    { type: 'getPageAnnotations', id, page } annotations with their appearance streams
+ *    { type: 'getComments', id }             annotations of all pages as reply threads
+ *    { type: 'getOptionalContent', id }      optional content groups and their /D config
+ *    { type: 'getOptionalContentMembership', id, key } what an /OC entry refers to
+ *    { type: 'getMetadata', id }             /Info, XMP and version details
+ *    { type: 'getAttachments', id }          embedded files (bytes via decodeStream)
+ *    { type: 'getSignatures', id }           signature fields and their checks
+ *    { type: 'getFormFields', id }           AcroForm fields with values and widgets
+ *    { type: 'decodeStream', id, key }       { bytes, streamInfo, streamError }
+ *    { type: 'password', id, password }      answer to a password request
+ * Messages out:
+ *    { type: 'ready' }                       scripts loaded
+ *    { type: 'bytes', start, bytes, length } a range fetched for a url
+ *    { type: 'reply', id, result | error, debug }
+ *    { type: 'event', event, detail, debug } progress and error events
+ *    { type: 'password', id, question }
+ * `debug` carries the debugInfo lines added since the last message.
+ */
+importScripts('https://cdn.jsdelivr.net/npm/fflate', 'security.js', 'signatures.js', 'filters.js', 'explorer.js');
+
+(function () {
+  let doc = null;
+  let sent = 0;
+  const passwordRequests = new Map();
+  let nextPasswordId = 1;
+
+  function newDebugLines() {
+    if (!doc) return [];
+    const lines = doc.debugInfo.slice(sent);
+    sent = doc.debugInfo.length;
+    return lines;
+  }
+
+  function post(msg, transfer) {
+    msg.debug = newDebugLines();
+    self.postMessage(msg, transfer || []);
+  }
+
+  function requestPassword(question) {
+    const id = nextPasswordId++;
+    return new Promise(resolve => {
+      passwordRequests.set(id, resolve);
+      self.postMessage({ type: 'password', id, question });
+    });
+  }
+
+  // Object records cross as plain clones. decodedBytes duplicates decoded,
+  // and the raw stream data stays here (decodeStream returns it on request).
+  function transportRecord(obj) {
+    if (!obj) return null;
+    const rec = { ...obj, stream: '' };
+    delete rec.decodedBytes;
+    const si = rec.raw.indexOf('stream');
+    if (si !== -1) rec.raw = rec.raw.slice(0, si + 6);
+    return rec;
+  }
+
+  // The page keeps its own copy of the file for the image decoder.
+  function postBytes(start, bytes, length) {
+    const copy = bytes.slice();
+    self.postMessage({ type: 'bytes', start, bytes: copy, length }, [copy.buffer]);
+  }
+
+  function summary() {
+    return {
+      pages: doc.pages.map(transportRecord),
+      numPages: doc.numPages,
+      pagesComplete: doc.pagesComplete,
+      linearization: doc.linearization,
+      root: transportRecord(doc.root),
+      rootKey: doc.rootKey,
+      trailer: doc.trailer,
+      xrefEntries: doc.xrefEntries,
+      xrefRevisions: doc.xrefRevisions,
+      xrefRepaired: doc.xrefRepaired,
+      encrypted: doc.encrypted,
+      fontCache: doc.fontCache,
+      perf: doc.perf
+    };
+  }
+
+  const handlers = {
+    async open(msg) {
+      let data = msg.data;
+      if (msg.url) {
+        data = await PDFExplorer.openRangeSource(msg.url);
+        if (data instanceof Uint8Array) {
+          postBytes(0, data, data.length);
+        } else {
+          const source = data;
+          source.listeners.push((start, end) => postBytes(start, source.bytes.subarray(start, end), source.length));
+          postBytes(0, source.bytes.subarray(0, Math.min(source.chunkSize, source.length)), source.length);
+        }
+      }
+      doc = PDFExplorer.createDocument(data, {
+        password: msg.password,
+        requestPassword,
+        onProgress: detail => post({ type: 'event', event: 'progress', detail }),
+        onError: detail => post({ type: 'event', event: 'error', detail })
+      });
+      await doc.load();
+      return summary();
+    },
+    async getObject(msg) {
+      return transportRecord(await doc.getObject(msg.key));
+    },
+    async getPage(msg) {
+      const page = await doc.getPage(msg.page);
+      return { page: transportRecord(page), fontCache: doc.fontCache };
+    },
+    async loadAllPages() {
+      const pages = await doc.loadAllPages();
+      return { pages: pages.map(transportRecord), fontCache: doc.fontCache };
+    },
+    async getPageContent(msg) {
+      const page = typeof msg.page === 'number' ? await doc.getPage(msg.page) : await doc.getObject(msg.page);
+      return page ? doc.getPageContent(page) : '';
+    },
+    async getPageGeometry(msg) {
+      const page = await doc.getObject(msg.page);
+      return page ? doc.getPageGeometry(page) : null;
+    },
+    getPageLabels() {
+      return doc.getPageLabels();
+    },
+    getOutline() {
+      return doc.getOutline();
+    },
+    resolveDestination(msg) {
+      return doc.resolveDestination(msg.dest);
+    },
+    getMetadata() {
+      return doc.getMetadata();
+    },
+    getAttachments() {
+      return doc.getAttachments();
+    },
+    getSignatures() {
+      return doc.getSignatures();
+    },
+    getFormFields() {
+      return doc.getFormFields();
+    },
+    getComments() {
+      return doc.getComments();
+    },
+    getOptionalContent() {
+      return doc.getOptionalContent();
+    },
+    getOptionalContentMembership(msg) {
+      return doc.getOptionalContentMembership(msg.key);
+    },
+    async getPageLinks(msg) {
+      const page = await doc.getObject(msg.page);
+      return page ? doc.getPageLinks(page) : [];
+    },
+    async getPageAnnotations(msg) {
+      const page = await doc.getObject(msg.page);
+      return page ? doc.getPageAnnotations(page) : [];
+    },
+    async loadPageObjects(msg) {
+      const page = await doc.getObject(msg.page);
+      return page ? (await doc.loadPageObjects(page)).map(transportRecord) : [];
+    },
+    async decodeStream(msg) {
+      const result = await doc.decodeStream(msg.key);
+      return result && { ...result, bytes: result.bytes.slice() };
+    }
+  };
+
+  self.onmessage = async e => {
+    const msg = e.data;
+    if (msg.type === 'password') {
+      const resolve = passwordRequests.get(msg.id);
+      passwordRequests.delete(msg.id);
+      if (resolve) resolve(msg.password);
+      return;
+    }
+    const handler = handlers[msg.type];
+    try {
+      if (!handler) throw new Error(`Unknown request ${msg.type}`);
+      if (msg.type !== 'open' && !doc) throw new Error('No document is open');
+      const result = await handler(msg);
+      // Decoded stream bytes are a fresh copy, so they can be moved.
+      const transfer = result && result.bytes instanceof Uint8Array ? [result.bytes.buffer] : [];
+      post({ type: 'reply', id: msg.id, result }, transfer);
+    } catch (err) {
+      post({ type: 'reply', id: msg.id, error: { message: err.message, name: err.name } });
+    }
+  };
+
+  self.postMessage({ type: 'ready' });
+})();